@@ -1,6 +1,8 @@
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
+import { serveLocalMedia } from "./middlewares/media.middleware.js";
+import { errorHandler, notFound } from "./middlewares/error.middleware.js";
 
 /*
   - `express()` creates an Express application instance.
@@ -53,6 +55,13 @@ app.use(cookieParser());
   - Example: If a user logs in, their token is stored in a cookie like `accessToken=xyz123`.
 */
 
+app.use("/media", serveLocalMedia);
+/*
+     `serveLocalMedia`
+  - Serves uploaded files from disk when STORAGE_DRIVER=local (e.g. `/media/avatars/me.png`).
+  - With Cloudinary or S3, files are served by the provider and this middleware does nothing.
+*/
+
 //routes import
 import userRouter from "./routes/user.routes.js";
 import healthcheckRouter from "./routes/healthcheck.routes.js";
@@ -63,6 +72,8 @@ import commentRouter from "./routes/comment.routes.js";
 import likeRouter from "./routes/like.routes.js";
 import playlistRouter from "./routes/playlist.routes.js";
 import dashboardRouter from "./routes/dashboard.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import feedRouter from "./routes/feed.routes.js";
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter);
@@ -74,6 +85,17 @@ app.use("/api/v1/comments", commentRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/playlist", playlistRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/feed", feedRouter);
+
+/*
+     Error handling (must come after all the routes)
+  - `notFound` answers requests that no route matched with a 404.
+  - `errorHandler` receives every error passed to `next(err)` (thrown `ApiError`s included, thanks to `asyncHandler`)
+    and sends it as JSON: { statusCode, data, message, success, errors }.
+*/
+app.use(notFound);
+app.use(errorHandler);
 
 // http://localhost:8000/api/v1/users/register
 
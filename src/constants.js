@@ -1 +1,113 @@
 export const DB_NAME = "vidcore";
+
+// MongoDB error code for a write rejected by a unique index (e.g. two requests racing to create the same document)
+export const DUPLICATE_KEY = 11000;
+
+export const USER_ROLES = {
+  USER: "user", // default role, can only manage their own content
+  MODERATOR: "moderator", // can moderate anyone's content (unpublish videos, delete comments/tweets)
+  ADMIN: "admin", // everything a moderator can do + managing users (roles, bans)
+};
+
+/*
+  HLS rendition ladder used by the transcoder.
+  - `height` is the target vertical resolution (width is derived from the source aspect ratio)
+  - `videoBitrate` / `audioBitrate` are in kbps and also used for the master playlist BANDWIDTH
+*/
+export const HLS_RENDITIONS = [
+  { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+];
+
+export const HLS_SEGMENT_DURATION = 6; // seconds per .ts segment
+
+// Top-level storage folders the app writes to (the reconciliation script never looks outside of them)
+export const STORAGE_FOLDERS = [
+  "avatars",
+  "cover-images",
+  "videos",
+  "thumbnails",
+  "hls",
+];
+
+// Root of the locally stored files (outside `public/` so express.static can't bypass access checks)
+export const LOCAL_STORAGE_ROOT = process.env.STORAGE_LOCAL_ROOT || "./storage";
+
+// Background job queue settings
+export const JOB_MAX_ATTEMPTS = 5; // attempts before a job is moved to the dead-letter state
+export const JOB_BACKOFF_BASE_MS = 30 * 1000; // retry delay = base * 2^(attempts - 1)
+export const JOB_POLL_INTERVAL_MS = 5 * 1000; // how often an idle worker looks for new jobs
+export const JOB_LOCK_TIMEOUT_MS = 60 * 60 * 1000; // a "processing" job older than this is considered abandoned
+
+export const VIDEO_PROCESSING_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+};
+
+// View counting
+export const VIEW_DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000; // the same viewer (user or IP) counts at most one view per video in this window
+export const VIEW_RECORD_TTL_SECONDS = 30 * 24 * 60 * 60; // view records (last position, dedupe state) untouched for this long are removed
+export const WATCH_COMPLETE_PERCENT = 90; // watching this much of a video marks it as completed (credits are usually skipped)
+
+// Cursor pagination (`?limit=&cursor=`) defaults shared by every list endpoint
+export const PAGINATION_DEFAULT_LIMIT = 20;
+export const PAGINATION_MAX_LIMIT = 100;
+
+// Fields `GET /videos` can sort by (all set on every video, so they work as cursor keys)
+export const VIDEO_SORT_FIELDS = ["createdAt", "views", "title"];
+export const VIDEO_SEARCH_SORTS = ["relevance", "date", "views"];
+export const COMMENT_SORTS = ["top", "newest", "oldest"];
+
+// Reactions stored in `Like.type`, one per user per video/comment/tweet
+export const LIKE_REACTIONS = ["like", "dislike"]; // videos and comments
+export const TWEET_REACTIONS = [
+  ...LIKE_REACTIONS,
+  "love",
+  "laugh",
+  "wow",
+  "sad",
+  "celebrate",
+]; // community posts also take emoji reactions
+
+// Who can open a playlist (collaborators and the owner always can)
+export const PLAYLIST_VISIBILITY = {
+  PUBLIC: "public", // listed on the channel, anyone can open it
+  UNLISTED: "unlisted", // not listed, opened with its share link (`?token=`)
+  PRIVATE: "private", // owner and collaborators only
+};
+
+// "viewer" can open a private playlist, "editor" can also add, remove and reorder its videos
+export const PLAYLIST_COLLABORATOR_ROLES = ["viewer", "editor"];
+
+// Playlists every user has, created and managed by the app
+export const SYSTEM_PLAYLIST_TYPES = {
+  WATCH_LATER: "watch_later",
+  LIKED_VIDEOS: "liked_videos", // kept in sync with video likes, can't be edited by hand
+};
+
+/*
+  Home feed recommendations (see services/recommendation.service.js)
+  - Every signal is normalized to 0-1, a video's score is the weighted sum of its signals
+*/
+export const RECOMMENDATION_WEIGHTS = {
+  coWatch: 3, // watched by people who watched or liked the same videos as the viewer
+  subscribed: 2, // uploaded by a channel the viewer subscribes to
+  likedChannel: 1, // uploaded by a channel whose videos the viewer liked
+  recency: 1.5, // halves every `RECOMMENDATION_RECENCY_HALF_LIFE_DAYS`
+  popularity: 1, // views, on a log scale
+  exploration: 1, // fresh uploads with few views get a random boost (stable per viewer per day)
+};
+export const RECOMMENDATION_SEED_LIMIT = 50; // most recent watched + liked videos the co-watch signal starts from
+export const RECOMMENDATION_NEIGHBOR_LIMIT = 200; // most similar other viewers looked at for co-watch
+export const RECOMMENDATION_CANDIDATE_LIMIT = 100; // candidates taken from each source (co-watch, subscriptions, popular...)
+export const RECOMMENDATION_RECENCY_HALF_LIFE_DAYS = 7;
+export const RECOMMENDATION_FRESH_UPLOAD_DAYS = 3; // uploads this recent...
+export const RECOMMENDATION_FRESH_MAX_VIEWS = 100; // ...with at most this many views are explored
+export const HOME_FEED_SNAPSHOT_TTL_SECONDS = 60 * 60; // how long the pages of one home feed ranking can be scrolled
+export const ANONYMOUS_HOME_FEED_REFRESH_SECONDS = 10 * 60; // anonymous visitors share one home feed ranking, ranked again this often
+
+// Content shown instead of a deleted comment that still has replies
+export const DELETED_COMMENT_CONTENT = "[deleted]";
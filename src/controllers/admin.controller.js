@@ -0,0 +1,238 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+import { USER_ROLES } from "../constants.js";
+import {
+  deleteCommentCascade,
+  deleteTweetCascade,
+  runInTransaction,
+} from "../services/cascade.service.js";
+
+const listUsers = asyncHandler(async (req, res) => {
+  // Optional filters: ?role=moderator&banned=true&query=john
+  const { role, banned, query } = req.query;
+  const { limit, cursor } = getPaginationParams(req.query);
+
+  const filter = {
+    ...(role ? { role } : {}),
+    ...(banned !== undefined ? { isBanned: banned } : {}), // coerced to a boolean by listUsersSchema
+    ...(query
+      ? {
+          $or: [
+            { username: { $regex: query, $options: "i" } },
+            { email: { $regex: query, $options: "i" } },
+            { fullName: { $regex: query, $options: "i" } },
+          ],
+        }
+      : {}),
+  };
+
+  const users = await User.find(applyCursor(filter, cursor, "createdAt"))
+    .select("-password -refreshToken")
+    .sort(cursorSort("createdAt"))
+    .limit(limit + 1);
+
+  const total = await User.countDocuments(filter);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...paginate(users, limit, "createdAt"), total },
+        "Users fetched successfully"
+      )
+    );
+});
+
+// Loads the target user and makes sure an admin doesn't lock themselves (or another admin) out
+const findManageableUser = async (req) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  if (userId === req.user._id.toString()) {
+    throw new ApiError(400, "You cannot change your own account here");
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+const banUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const user = await findManageableUser(req);
+
+  if (user.role === USER_ROLES.ADMIN) {
+    throw new ApiError(403, "Admins cannot be banned");
+  }
+
+  /*
+    Ban the account:
+    - `isBanned` makes `verifyJWT` and `loginUser` reject the user.
+    - Removing the refresh token means they can't get a new access token either.
+  */
+  const bannedUser = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $set: { isBanned: true, bannedAt: new Date(), banReason: reason || "" },
+      $unset: { refreshToken: 1 },
+    },
+    { new: true }
+  ).select("-password -refreshToken");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, bannedUser, "User banned successfully"));
+});
+
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await findManageableUser(req);
+
+  const unbannedUser = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $set: { isBanned: false },
+      $unset: { bannedAt: 1, banReason: 1 },
+    },
+    { new: true }
+  ).select("-password -refreshToken");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, unbannedUser, "User unbanned successfully"));
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!Object.values(USER_ROLES).includes(role)) {
+    throw new ApiError(
+      400,
+      `Role must be one of: ${Object.values(USER_ROLES).join(", ")}`
+    );
+  }
+
+  const user = await findManageableUser(req);
+
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    { $set: { role } },
+    { new: true }
+  ).select("-password -refreshToken");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "User role updated successfully"));
+});
+
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  // Unlike `togglePublishStatus`, this always unpublishes and works on anyone's video
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: { isPublished: false } },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+const deleteCommentAsModerator = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment ID");
+  }
+
+  const comment = await Comment.findById(commentId);
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const removed = await runInTransaction((session) =>
+    deleteCommentCascade(comment._id, session)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { comment, removed }, "Comment deleted successfully")
+    );
+});
+
+const deleteTweetAsModerator = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  if (!isValidObjectId(tweetId)) {
+    throw new ApiError(400, "Invalid tweet ID");
+  }
+
+  const tweet = await Tweet.findById(tweetId);
+
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  const removed = await runInTransaction((session) =>
+    deleteTweetCascade(tweet._id, session)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { tweet, removed }, "Tweet deleted successfully")
+    );
+});
+
+/*
+ Admin & Moderation Notes:
+
+👉 Who can call these controllers?
+   - User management (list, ban/unban, roles) is admin-only.
+   - Content moderation (unpublish videos, delete comments/tweets) is open to moderators and admins.
+   - The checks live in `admin.routes.js` via `authorize(...)`, the controllers assume they passed.
+
+👉 Why can't admins ban or change themselves?
+   - An admin accidentally demoting or banning their own account could leave nobody able to undo it.
+*/
+
+export {
+  listUsers,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  forceUnpublishVideo,
+  deleteCommentAsModerator,
+  deleteTweetAsModerator,
+};
@@ -1,8 +1,293 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  deleteCommentCascade,
+  runInTransaction,
+} from "../services/cascade.service.js";
+import { canViewVideo } from "../utils/videoVisibility.js";
+import { canViewCommentTarget, commentTarget } from "../utils/commentTarget.js";
+import {
+  applyCursor,
+  cursorCondition,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+
+// Public profile fields of a comment author
+const commentOwnerProjection = {
+  $project: {
+    username: 1,
+    fullName: 1,
+    avatar: 1,
+  },
+};
+
+// `?sort=` of `GET /comments/:videoId` -> sort key + direction (see COMMENT_SORTS)
+const COMMENT_SORT_ORDERS = {
+  top: { field: "likesCount", direction: -1 },
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+};
+
+/*
+  Adds `likesCount`, `dislikesCount`, `myReaction` and `isLikedByMe` to each comment
+  - Reactions are counted from the `Like` collection, so the numbers are always exact
+  - `myReaction` is "like", "dislike" or null (always null for anonymous visitors:
+    `viewerId` null never matches a reaction)
+*/
+const countReactionType = (type) => ({
+  $size: {
+    $filter: { input: "$likes", cond: { $eq: ["$$this.type", type] } },
+  },
+});
+
+const commentLikeStages = (viewerId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "comment",
+      as: "likes",
+      pipeline: [{ $project: { likedBy: 1, type: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: countReactionType("like"),
+      dislikesCount: countReactionType("dislike"),
+      myReaction: {
+        $first: {
+          $filter: {
+            input: "$likes",
+            cond: { $eq: ["$$this.likedBy", viewerId] },
+          },
+        },
+      },
+    },
+  },
+  {
+    // The viewer's reaction document (if any) -> just its type
+    $addFields: {
+      myReaction: { $ifNull: ["$myReaction.type", null] },
+      isLikedByMe: { $eq: ["$myReaction.type", "like"] },
+    },
+  },
+];
+
+// Shapes a top-level comment for the listing (run after `commentLikeStages`)
+const commentDisplayStages = [
+  {
+    /*
+      Lookup video details
+      - Joins the "videos" collection to get details about the video which has the comment
+      - The result is stored as "CommentOnWhichVideo".
+    */
+    $lookup: {
+      from: "videos",
+      localField: "video",
+      foreignField: "_id",
+      as: "CommentOnWhichVideo",
+    },
+  },
+  {
+    /*
+      Lookup user details (comment owner)
+      - Joins the "users" collection to get details about the user who posted the comment.
+      - The result is stored as "OwnerOfComment" (empty for "[deleted]" placeholders).
+      - Only public profile fields are kept, never the password hash or tokens.
+    */
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "OwnerOfComment",
+      pipeline: [commentOwnerProjection],
+    },
+  },
+  {
+    /*
+      Count the replies of each thread
+      - The client shows "12 replies" and loads them on demand.
+    */
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parentComment",
+      as: "replies",
+      pipeline: [{ $count: "count" }],
+    },
+  },
+  {
+    /*
+      Restructure the output
+      - $project is used to include only required fields.
+      - $arrayElemAt extracts the first (and only) element from "OwnerOfComment" and "CommentOnWhichVideo".
+      - This avoids unnecessary array nesting in the result.
+    */
+    $project: {
+      content: 1, // Include the comment content
+      owner: {
+        $arrayElemAt: ["$OwnerOfComment", 0], // Extract first element from owner array
+      },
+      video: {
+        $arrayElemAt: ["$CommentOnWhichVideo", 0], // Extract first element from video array
+      },
+      tweet: 1, // set instead of `video` for comments on a community post
+      isDeleted: 1, // `true` for "[deleted]" placeholders that still have replies
+      isPinned: 1, // pinned by the video owner, always listed first
+      isHearted: 1, // "hearted" by the video owner
+      likesCount: 1,
+      dislikesCount: 1,
+      myReaction: 1,
+      isLikedByMe: 1,
+      replyCount: {
+        $ifNull: [{ $arrayElemAt: ["$replies.count", 0] }, 0], // no replies -> no $count document
+      },
+      createdAt: 1, // Include timestamp
+    },
+  },
+];
+
+/*
+  Lists the top-level comments of a video or a tweet: `target` is `{ video }` or `{ tweet }`
+  - `newest` (default) and `oldest` sort by creation date
+  - `top` sorts by like count, newest first among comments with the same count
+  - Returns `{ items, nextCursor, hasMore, sortBy }`
+*/
+const listTopLevelComments = async (
+  target,
+  { sortMode = "newest", limit, cursor, viewerId }
+) => {
+  const { field: sortField, direction } = COMMENT_SORT_ORDERS[sortMode];
+
+  // Top-level comments only: replies are fetched per thread with `GET /comments/:commentId/replies`
+  const threadFilter = { ...target, parentComment: null };
+
+  /*
+    - The pinned comment is left out here, it is added in front of the first page below.
+    - For `top`, like counts must be computed before they can be sorted on, so the cursor
+      is applied after them. Date sorts cut the page first and count likes for that page only.
+  */
+  const isTopSort = sortField === "likesCount";
+  const listFilter = { ...threadFilter, isPinned: { $ne: true } };
+
+  const comments = await Comment.aggregate([
+    {
+      $match: isTopSort
+        ? listFilter
+        : applyCursor(listFilter, cursor, sortField, direction),
+    },
+    ...(isTopSort
+      ? [
+          ...commentLikeStages(viewerId),
+          { $match: cursorCondition(cursor, sortField, direction) },
+        ]
+      : []),
+    {
+      // One extra comment is fetched to know whether there is a next page
+      $sort: cursorSort(sortField, direction),
+    },
+    {
+      $limit: limit + 1,
+    },
+    ...(isTopSort ? [] : commentLikeStages(viewerId)),
+    ...commentDisplayStages,
+  ]);
+
+  /*
+    The pinned comment always comes first
+    - Only on the first page (no cursor), so it is not repeated while scrolling.
+  */
+  const pinned = cursor
+    ? []
+    : await Comment.aggregate([
+        { $match: { ...threadFilter, isPinned: true } },
+        { $limit: 1 },
+        ...commentLikeStages(viewerId),
+        ...commentDisplayStages,
+      ]);
+
+  const page = paginate(comments, limit, sortField);
+
+  return { ...page, items: [...pinned, ...page.items], sortBy: sortMode };
+};
+
+/*
+  Finds a comment and the top-level comment of its thread: `{ comment, root }`
+  - `comment` can be the top-level comment itself (then `root` is the same document) or one of its replies
+  - Comments under a video/tweet the viewer can't see are reported as missing
+*/
+const findThreadRoot = async (commentId, viewerId) => {
+  const comment = await Comment.findById(commentId);
+
+  if (!comment || !(await canViewCommentTarget(comment, viewerId))) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.parentComment) {
+    return { comment, root: comment };
+  }
+
+  const root = await Comment.findById(comment.parentComment);
+  if (!root) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return { comment, root };
+};
+
+const getTweetComments = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+  const { limit, cursor } = getPaginationParams(req.query, {
+    defaultLimit: 10,
+  });
+
+  // Community posts are public, they only need to exist
+  if (!(await Tweet.exists({ _id: tweetId }))) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  // Same listing as video comments: pinned first, `?sort=top|newest|oldest`, reply counts
+  const comments = await listTopLevelComments(
+    { tweet: new mongoose.Types.ObjectId(tweetId) },
+    {
+      sortMode: req.query.sort, // validated by `tweetCommentsSchema`
+      limit,
+      cursor,
+      viewerId: req.user?._id ?? null,
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+const addTweetComment = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+  // `content` is checked by `addTweetCommentSchema`
+  const { content } = req.body;
+
+  if (!(await Tweet.exists({ _id: tweetId }))) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  const comment = await Comment.create({
+    content,
+    owner: req.user._id,
+    tweet: tweetId,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
 
 const getVideoComments = asyncHandler(async (req, res) => {
   // Function to get comments for a specific video
@@ -15,12 +300,12 @@ const getVideoComments = asyncHandler(async (req, res) => {
 
   /*
     Step 2: Extract pagination details from query parameters
-    - If the client sends ?page=2&limit=5, then:
-      - page = 2 (fetch second page of comments)
-      - limit = 5 (fetch 5 comments per page)
-    - If no values are provided, default to page 1 and limit 10
+    - If the client sends ?limit=5, we fetch 5 comments per page (default 10)
+    - To get the next page, the client sends back the `nextCursor` of the previous response as ?cursor=
   */
-  const { page = 1, limit = 10 } = req.query;
+  const { limit, cursor } = getPaginationParams(req.query, {
+    defaultLimit: 10,
+  });
 
   /*
     Step 3: Validate videoId
@@ -33,6 +318,18 @@ const getVideoComments = asyncHandler(async (req, res) => {
 
   console.log("Video ID:", videoId, "Type:", typeof videoId); // Debugging log
 
+  /*
+    Comments are public, but only for videos the visitor is allowed to see.
+    - Unpublished videos are reported as missing unless the logged-in user owns them.
+  */
+  const video = await Video.findById(videoId).select(
+    "owner isPublished processingStatus"
+  );
+
+  if (!canViewVideo(video, req.user?._id)) {
+    throw new ApiError(404, "Video not found");
+  }
+
   /*
     Step 4: Convert videoId to ObjectId
     - MongoDB stores IDs as ObjectId, so we need to convert videoId (string) to ObjectId format.
@@ -41,89 +338,21 @@ const getVideoComments = asyncHandler(async (req, res) => {
   const videoObjectId = new mongoose.Types.ObjectId(videoId);
 
   /*
-    Step 5: Fetch comments using aggregation
-
+    Step 5: Fetch the top-level comments (pinned first, then in the requested `?sort=` order)
   */
-  const comments = await Comment.aggregate([
-    {
-      /*
-        Step 5.1: Match comments related to the specified video ID
-        - This filters out only comments that belong to the requested video.
-      */
-      $match: {
-        video: videoObjectId,
-      },
-    },
+  const comments = await listTopLevelComments(
+    { video: videoObjectId },
     {
-      /*
-        Step 5.2: Lookup video details
-        - Joins the "videos" collection to get details about the video which has the comment
-        - The result is stored as "CommentOnWhichVideo".
-      */
-      $lookup: {
-        from: "videos",
-        localField: "video",
-        foreignField: "_id",
-        as: "CommentOnWhichVideo",
-      },
-    },
-    {
-      /*
-        Step 5.3: Lookup user details (comment owner)
-        - Joins the "users" collection to get details about the user who posted the comment.
-        - The result is stored as "OwnerOfComment".
-      */
-      $lookup: {
-        from: "users",
-        localField: "owner",
-        foreignField: "_id",
-        as: "OwnerOfComment",
-      },
-    },
-
-    {
-      /*
-        Step 5.4: Restructure the output
-        - $project is used to include only required fields.
-        - $arrayElemAt extracts the first (and only) element from "OwnerOfComment" and "CommentOnWhichVideo".
-        - This avoids unnecessary array nesting in the result.
-      */
-      $project: {
-        content: 1, // Include the comment content
-        owner: {
-          $arrayElemAt: ["$OwnerOfComment", 0], // Extract first element from owner array
-        },
-        video: {
-          $arrayElemAt: ["$CommentOnWhichVideo", 0], // Extract first element from video array
-        },
-        createdAt: 1, // Include timestamp
-      },
-    },
-
-    {
-      /*
-        Step 6: Apply pagination
-        - $skip ignores comments from previous pages ((page - 1) * limit).
-        - $limit restricts the number of comments per request to the specified limit.
-      */
-      $skip: (page - 1) * parseInt(limit),
-    },
-
-    {
-      $limit: parseInt(limit),
-    },
-  ]);
-  console.log(comments); // Debugging log to check fetched comments
-
-  /*
-    Step 7: Check if any comments exist
-  */
-  if (!comments?.length) {
-    throw new ApiError(404, "Comments are not found");
-  }
+      sortMode: req.query.sort, // validated by `videoCommentsSchema`
+      limit,
+      cursor,
+      viewerId: req.user?._id ?? null,
+    }
+  );
 
   /*
-    Step 8: Send response with comments data
+    Step 6: Send response with comments data
+    - `{ items, nextCursor, hasMore, sortBy }`, an empty page just means there are no (more) comments
   */
   return res
     .status(200)
@@ -133,18 +362,20 @@ const getVideoComments = asyncHandler(async (req, res) => {
  Comment Fetching Notes:
 
 
-👉 Why do we use $lookup twice?
- - First $lookup fetches video details (to know which video the comment is on).
- - Second $lookup fetches the user details (who wrote the comment).
+👉 Which $lookups do we use?
+ - Likes: counted from the `Like` collection (and checked for the viewer's own like).
+ - Video details (to know which video the comment is on).
+ - User details (who wrote the comment).
+ - Replies: only counted, without loading them.
 
 👉 Why do we use $arrayElemAt inside $project?
  - $lookup returns an array, even if there's only one matching document.
  - $arrayElemAt extracts the first element, so we get a single object instead of an array.
  
-👉 Why do we use pagination with $skip and $limit?
- - $skip ignores previous pages of comments ((page - 1) * limit).
+👉 Why do we use cursor pagination?
+ - The cursor remembers the last comment of the previous page, and $match continues right after it.
  - $limit ensures we don't fetch too many comments at once, improving performance.
- - This prevents overwhelming the database and speeds up response time.
+ - Unlike $skip, new comments don't shift the pages, so nobody sees the same comment twice.
 */
 });
 
@@ -238,6 +469,103 @@ const addComment = asyncHandler(async (req, res) => {
 */
 });
 
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { limit, cursor } = getPaginationParams(req.query, {
+    defaultLimit: 10,
+  });
+
+  const { root } = await findThreadRoot(commentId, req.user?._id);
+
+  /*
+    Replies are read like a conversation: oldest first
+    - The cursor moves forward in time (`direction` 1), so new replies show up on the last page.
+  */
+  const replies = await Comment.aggregate([
+    {
+      $match: applyCursor({ parentComment: root._id }, cursor, "createdAt", 1),
+    },
+    {
+      $sort: cursorSort("createdAt", 1),
+    },
+    {
+      $limit: limit + 1,
+    },
+    ...commentLikeStages(req.user?._id ?? null),
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [commentOwnerProjection],
+      },
+    },
+    {
+      $project: {
+        content: 1,
+        owner: { $arrayElemAt: ["$owner", 0] },
+        parentComment: 1,
+        isHearted: 1,
+        likesCount: 1,
+        dislikesCount: 1,
+        myReaction: 1,
+        isLikedByMe: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        paginate(replies, limit, "createdAt"),
+        "Replies fetched successfully"
+      )
+    );
+});
+
+const addReply = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  // `content` is checked by `addReplySchema`
+  const { content } = req.body;
+
+  /*
+    Replying to a reply adds to the same thread, so `parentComment` is always the top-level comment.
+    - A "[deleted]" placeholder can't be replied to directly, but replying to its replies still works.
+  */
+  const { comment, root } = await findThreadRoot(commentId, req.user._id);
+
+  if (comment.isDeleted) {
+    throw new ApiError(400, "Cannot reply to a deleted comment");
+  }
+
+  const reply = await Comment.create({
+    content,
+    owner: req.user._id,
+    ...commentTarget(root), // same video or tweet as the thread
+    parentComment: root._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, reply, "Reply added successfully"));
+
+  /*
+ Reply Notes:
+
+  👉 Why store the `video` (or `tweet`) on replies too?
+     - Deleting a video removes all its comments with one `{ video }` filter, replies included.
+
+  👉 Why only one level of nesting?
+     - Deeply nested threads are hard to read on small screens and need recursive queries.
+     - One level keeps "load replies" a single indexed query on `parentComment`.
+*/
+});
+
 const updateComment = asyncHandler(async (req, res) => {
   /*
     Extracting commentId from request parameters
@@ -344,9 +672,8 @@ const deleteComment = asyncHandler(async (req, res) => {
   /*
     Find the comment by its ID and ensure that the logged-in user is the owner
     - Only the owner of the comment should be able to delete it
-    - findOneAndDelete() finds the comment and removes it in one step
   */
-  const deletedCommentDoc = await Comment.findOneAndDelete({
+  const deletedCommentDoc = await Comment.findOne({
     _id: commentId,
     owner: req.user._id, // Ensuring only the owner can delete their comment
   });
@@ -356,22 +683,35 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while deleting the comment");
   }
 
+  /*
+    Delete the comment together with the likes on it
+    - If it has replies, it stays as a "[deleted]" placeholder so the thread keeps its structure
+  */
+  const removed = await runInTransaction((session) =>
+    deleteCommentCascade(deletedCommentDoc._id, session)
+  );
+
   /*
     Successfully deleted the comment, return a response
-    - Send back the deleted comment data as a confirmation
+    - Send back the deleted comment data and what was removed with it as a confirmation
   */
   return res
     .status(200)
     .json(
-      new ApiResponse(200, deletedCommentDoc, "Comment deleted successfully")
+      new ApiResponse(
+        200,
+        { comment: deletedCommentDoc, removed },
+        "Comment deleted successfully"
+      )
     );
 
   /*
 Comment Deletion Process Notes:
 
-👉 Why do we use findOneAndDelete()?
-   - It finds the comment and deletes it in one database query.
+👉 Why do we use findOne() with the owner before deleting?
    - Ensures only the owner of the comment can delete it (security feature!).
+   - deleteCommentCascade() then removes the comment and its likes in one transaction.
+   - A comment with replies is only blanked out ("[deleted]"), its replies stay visible.
 
 👉 What happens if the comment doesn't exist or the user isn't the owner?
    - The operation fails safely without deleting anything.
@@ -380,4 +720,113 @@ Comment Deletion Process Notes:
 */
 });
 
-export { getVideoComments, addComment, updateComment, deleteComment };
+/*
+  Finds a comment that the logged-in user can moderate as the owner of its video or tweet
+  - Missing comments and "[deleted]" placeholders are 404, other people's videos/tweets are 403
+*/
+const findCommentAsTargetOwner = async (commentId, userId) => {
+  const comment = await Comment.findOne({
+    _id: commentId,
+    isDeleted: { $ne: true },
+  });
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const target = comment.video
+    ? await Video.findById(comment.video).select("owner")
+    : await Tweet.findById(comment.tweet).select("owner");
+
+  if (!target?.owner?.equals(userId)) {
+    throw new ApiError(
+      403,
+      "Only the owner of the video or post can pin or heart its comments"
+    );
+  }
+
+  return comment;
+};
+
+const toggleCommentPin = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findCommentAsTargetOwner(commentId, req.user._id);
+
+  if (comment.parentComment) {
+    throw new ApiError(400, "Only top-level comments can be pinned");
+  }
+
+  /*
+    A video (or tweet) has at most one pinned comment
+    - Pinning a comment unpins the previous one, in the same transaction
+  */
+  const isPinned = !comment.isPinned;
+
+  await runInTransaction(async (session) => {
+    if (isPinned) {
+      await Comment.updateMany(
+        { ...commentTarget(comment), isPinned: true },
+        { $set: { isPinned: false } },
+        { session }
+      );
+    }
+    await Comment.updateOne(
+      { _id: comment._id },
+      { $set: { isPinned } },
+      { session }
+    );
+  });
+
+  comment.isPinned = isPinned;
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        comment,
+        isPinned
+          ? "Comment pinned successfully"
+          : "Comment unpinned successfully"
+      )
+    );
+});
+
+const toggleCommentHeart = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  // Replies can be hearted too
+  const comment = await findCommentAsTargetOwner(commentId, req.user._id);
+
+  const updatedComment = await Comment.findByIdAndUpdate(
+    comment._id,
+    { $set: { isHearted: !comment.isHearted } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedComment,
+        updatedComment.isHearted
+          ? "Comment hearted successfully"
+          : "Comment unhearted successfully"
+      )
+    );
+});
+
+export {
+  getVideoComments,
+  getTweetComments,
+  addTweetComment,
+  getCommentReplies,
+  addComment,
+  addReply,
+  updateComment,
+  deleteComment,
+  toggleCommentPin,
+  toggleCommentHeart,
+};
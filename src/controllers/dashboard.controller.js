@@ -4,6 +4,12 @@ import { Like } from "../models/like.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
 import { Tweet } from "../models/tweet.model.js";
 import { Comment } from "../models/comment.model.js";
 
@@ -66,10 +72,11 @@ const getChannelStats = asyncHandler(async (req, res) => {
        - Counts the total number of likes across your videos → 5 + 3 + 7 = 15 Likes.
   */
 
+  const videoIds = await Video.find({ owner: userId }).distinct("_id");
+
   const totalVideoLikes = await Like.countDocuments({
-    video: {
-      $in: await Video.find({ owner: userId }).distinct("_id"),
-    },
+    video: { $in: videoIds },
+    type: "like", // `Like` also stores dislikes, counted separately below
   });
 
   if (totalVideoLikes === null || totalVideoLikes === undefined) {
@@ -84,10 +91,11 @@ const getChannelStats = asyncHandler(async (req, res) => {
     - Find all tweet IDs that belong to the user.
     - Then, count how many likes exist for those tweets in the `Like` collection.
   */
+  const tweetIds = await Tweet.find({ owner: userId }).distinct("_id");
+
   const totalTweetLikes = await Like.countDocuments({
-    tweet: {
-      $in: await Tweet.find({ owner: userId }).distinct("_id"),
-    },
+    tweet: { $in: tweetIds },
+    type: "like",
   });
 
   if (totalTweetLikes === null || totalTweetLikes === undefined) {
@@ -102,10 +110,11 @@ const getChannelStats = asyncHandler(async (req, res) => {
       - Find all comment IDs made by the user.
       - Then, count how many likes exist for those comments in the `Like` collection.
     */
+  const commentIds = await Comment.find({ owner: userId }).distinct("_id");
+
   const totalCommentLikes = await Like.countDocuments({
-    comment: {
-      $in: await Comment.find({ owner: userId }).distinct("_id"),
-    },
+    comment: { $in: commentIds },
+    type: "like",
   });
 
   if (totalCommentLikes === null || totalCommentLikes === undefined) {
@@ -115,6 +124,18 @@ const getChannelStats = asyncHandler(async (req, res) => {
     );
   }
 
+  /*
+     Total Dislikes:
+      - Same targets as the likes above, counting the "dislike" reactions instead.
+      - Emoji reactions on tweets are neither likes nor dislikes, so they are not counted here.
+    */
+  const [totalVideoDislikes, totalTweetDislikes, totalCommentDislikes] =
+    await Promise.all([
+      Like.countDocuments({ video: { $in: videoIds }, type: "dislike" }),
+      Like.countDocuments({ tweet: { $in: tweetIds }, type: "dislike" }),
+      Like.countDocuments({ comment: { $in: commentIds }, type: "dislike" }),
+    ]);
+
   /*
      Summing Up Total Views for All Videos Owned by the User
     - `$match: { owner: userId }` → Filters only videos owned by the user
@@ -169,6 +190,9 @@ const getChannelStats = asyncHandler(async (req, res) => {
         totalVideoLikes,
         totalTweetLikes,
         totalCommentLikes,
+        totalVideoDislikes,
+        totalTweetDislikes,
+        totalCommentDislikes,
         totalViews: totalViews[0]?.totalViews || 0, // Default to 0 if no views are found
       },
       "Channel stats fetched successfully"
@@ -183,8 +207,9 @@ const getChannelStats = asyncHandler(async (req, res) => {
      - Finds all videos owned by the user but returns only their _id's.
      - We use this to filter likes (`$in`) instead of querying all videos first.
 
-  👉 Why `$in: await Video.find(...).distinct("_id")`?
+  👉 Why `$in: videoIds`?
      - Makes sure we're only counting likes for videos owned by the user.
+     - The same IDs are reused for the dislike count, so the videos are only looked up once.
      
 */
 });
@@ -198,20 +223,24 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     - We use `Video.find({ owner: userId })` to search for all videos where the `owner` field matches `userId`.
     - `userId` represents the currently logged-in user, meaning we are getting only THEIR videos.
   */
-  const videos = await Video.find({
-    owner: userId,
-  }).sort({
-    createdAt: -1, // Sorting videos in descending order (newest first)
-  });
+  const { limit, cursor } = getPaginationParams(req.query);
 
-  // - This ensures that the client knows when a channel has no videos.
-  if (!videos || videos.length === 0) {
-    throw new ApiError(404, "No videos found for this channel");
-  }
+  const videos = await Video.find(
+    applyCursor({ owner: userId }, cursor, "createdAt")
+  )
+    .sort(cursorSort("createdAt")) // Sorting videos in descending order (newest first)
+    .limit(limit + 1); // One extra video tells us if there is a next page
 
+  // - Empty `items` with `hasMore: false` tells the client the channel has no (more) videos.
   res
     .status(200)
-    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        paginate(videos, limit, "createdAt"),
+        "Channel videos fetched successfully"
+      )
+    );
 });
 
 export { getChannelStats, getChannelVideos };
@@ -0,0 +1,295 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+import { FeedSnapshot } from "../models/feedSnapshot.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  applyCursor,
+  cursorSort,
+  encodeCursor,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+import { visibleVideosFilter } from "../utils/videoVisibility.js";
+import {
+  loadRecommendedVideos,
+  recommendVideos,
+} from "../services/recommendation.service.js";
+import { getViewerKey } from "../services/view.service.js";
+import { ANONYMOUS_HOME_FEED_REFRESH_SECONDS } from "../constants.js";
+
+// Anonymous visitors all see the same ranking, saved under this key instead of their own viewer key
+const ANONYMOUS_FEED_KEY = "anonymous";
+
+/*
+  The ranking anonymous visitors currently share, ranked and saved when there is none yet.
+  - At most one ranking per `ANONYMOUS_HOME_FEED_REFRESH_SECONDS`, however many visitors open the home page
+  - Two visitors racing on an empty period may both save one, which is harmless: each gets a complete ranking
+*/
+const getAnonymousFeedSnapshot = async (now) => {
+  const existing = await FeedSnapshot.findOne({
+    viewerKey: ANONYMOUS_FEED_KEY,
+    createdAt: {
+      $gt: new Date(now.getTime() - ANONYMOUS_HOME_FEED_REFRESH_SECONDS * 1000),
+    },
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  if (existing) return existing;
+
+  const items = await recommendVideos({ viewerKey: ANONYMOUS_FEED_KEY, now });
+  return (
+    await FeedSnapshot.create({ viewerKey: ANONYMOUS_FEED_KEY, items })
+  ).toObject();
+};
+
+/*
+  Moves the "last visit" marker of the subscription feed forward (single atomic update).
+  - `feedPreviousVisitAt` takes the old `feedLastVisitedAt`, which becomes now
+  - Returns the previous visit, i.e. the date the "new since last visit" marker is based on
+*/
+const recordFeedVisit = async (userId, now) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    [
+      {
+        $set: {
+          feedPreviousVisitAt: "$feedLastVisitedAt",
+          feedLastVisitedAt: now,
+        },
+      },
+    ],
+    { new: true }
+  ).select("feedPreviousVisitAt");
+
+  return user?.feedPreviousVisitAt ?? null;
+};
+
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  // Latest uploads from the channels the logged-in user subscribes to (newest first)
+
+  /*
+    Step 1: Read the query string (checked and coerced by `subscriptionFeedSchema`)
+    - limit / cursor: the usual cursor pagination
+    - markSeen (default true): opening the first page counts as a visit of the feed.
+      Pass `markSeen=false` to peek (e.g. a "new videos" badge) without moving the marker.
+  */
+  const { markSeen = true } = req.query;
+  const { limit, cursor } = getPaginationParams(req.query);
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  /*
+    Step 2: Work out the "since last visit" marker
+    - Only the first page records a visit: the next pages of the same visit must keep the same marker,
+      so they compare against the visit before this one
+    - A peek records nothing, so the last recorded visit is still the "last visit"
+  */
+  let lastVisitedAt;
+  if (!markSeen) {
+    lastVisitedAt = req.user.feedLastVisitedAt ?? null;
+  } else if (!cursor) {
+    lastVisitedAt = await recordFeedVisit(userId, new Date());
+  } else {
+    lastVisitedAt = req.user.feedPreviousVisitAt ?? null;
+  }
+
+  // Step 3: Channels this user subscribes to
+  const channelIds = await Subscription.find({ subscriber: userId }).distinct(
+    "channel"
+  );
+
+  const videos = await Video.aggregate([
+    {
+      /*
+        Step 4: Published, processed videos of those channels, starting right after the cursor
+        - `visibleVideosFilter()` without a viewer: the user's own unpublished videos don't belong here
+      */
+      $match: applyCursor(
+        {
+          owner: { $in: channelIds },
+          ...visibleVideosFilter(),
+        },
+        cursor,
+        "createdAt"
+      ),
+    },
+    {
+      $sort: cursorSort("createdAt"), // Newest uploads first
+    },
+    {
+      // One extra video tells us whether there is a next page, and the lookups only run for this page
+      $limit: limit + 1,
+    },
+    {
+      // Step 5: Channel details of each video
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Step 6: How far this user got in each video (none when they haven't watched it yet)
+      $lookup: {
+        from: "watchprogresses",
+        localField: "_id",
+        foreignField: "video",
+        as: "progress",
+        pipeline: [
+          { $match: { user: userId } },
+          {
+            $project: {
+              _id: 0,
+              position: 1,
+              percent: 1,
+              completed: 1,
+              lastWatchedAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $project: {
+        videoFile: 1,
+        masterPlaylist: 1,
+        thumbnail: 1,
+        title: 1,
+        description: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1, // Upload date (also the cursor sort key)
+        owner: { $first: "$owner" },
+        progress: { $ifNull: [{ $first: "$progress" }, null] },
+        // Step 7: Uploaded after the previous visit? (everything is new on the very first visit)
+        isNew: lastVisitedAt
+          ? { $gt: ["$createdAt", lastVisitedAt] }
+          : { $literal: true },
+      },
+    },
+  ]);
+
+  // Step 8: `{ items, nextCursor, hasMore, lastVisitedAt }`
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...paginate(videos, limit, "createdAt"), lastVisitedAt },
+        "Subscription feed fetched successfully"
+      )
+    );
+
+  /*
+ Subscription Feed Notes:
+
+  👉 Why fetch the channel IDs first instead of a $lookup on subscriptions?
+     - The feed starts from videos: sorting and paginating them needs a plain `owner: { $in: [...] }` match,
+       which the { owner, createdAt } index serves directly.
+
+  👉 Why two visit dates on the user?
+     - `feedLastVisitedAt` is "now" as soon as the first page is opened.
+     - Comparing uploads to it would make nothing new, so `isNew` uses the visit before
+       (`feedPreviousVisitAt`), and keeps using it while the client scrolls through the next pages.
+*/
+});
+
+const getHomeFeed = asyncHandler(async (req, res) => {
+  // Personalized home page: recommended videos, best first (popular and fresh videos for anonymous visitors)
+
+  // Step 1: `limit` and `cursor` (from the previous page's `nextCursor`)
+  const { limit, cursor } = getPaginationParams(req.query);
+  const viewerKey = req.user ? getViewerKey(req) : ANONYMOUS_FEED_KEY;
+
+  /*
+    Step 2: The ranking this page is cut from
+    - First page: rank the candidates (see services/recommendation.service.js) and save the ranking.
+      Anonymous visitors reuse the shared ranking of the current period instead (see `getAnonymousFeedSnapshot`).
+    - Next pages: the cursor holds the saved ranking's `_id` and the rank of the last video served,
+      in the same `{ key, id }` format as every other cursor
+  */
+  let snapshot;
+  let start = 0;
+
+  if (cursor) {
+    if (!Number.isInteger(cursor.value) || cursor.value < 0) {
+      throw new ApiError(400, "Invalid pagination cursor");
+    }
+
+    snapshot = await FeedSnapshot.findOne({ _id: cursor.id, viewerKey }).lean();
+
+    if (!snapshot) {
+      throw new ApiError(
+        400,
+        "This home feed has expired, load the first page again"
+      );
+    }
+
+    start = cursor.value + 1;
+  } else if (!req.user) {
+    snapshot = await getAnonymousFeedSnapshot(new Date());
+  } else {
+    const items = await recommendVideos({
+      viewerId: req.user?._id,
+      viewerKey,
+    });
+    snapshot = (await FeedSnapshot.create({ viewerKey, items })).toObject();
+  }
+
+  // Step 3: Cut the page and load its videos (the ones unpublished since the ranking are skipped)
+  const end = start + limit;
+  const items = await loadRecommendedVideos(snapshot.items.slice(start, end));
+  const hasMore = end < snapshot.items.length;
+
+  // Step 4: `{ items, nextCursor, hasMore }`, every item has its `score` and `reasons`
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        items,
+        nextCursor: hasMore
+          ? encodeCursor({ rank: end - 1, _id: snapshot._id }, "rank")
+          : null,
+        hasMore,
+      },
+      "Home feed fetched successfully"
+    )
+  );
+
+  /*
+ Home Feed Notes:
+
+  👉 Why save the ranking instead of ranking again for every page?
+     - Scores keep moving: views go up, videos get uploaded, the viewer finishes videos,
+       and popularity is relative to the other candidates.
+     - Ranking again between two pages would move videos across the page boundary,
+       so some would show up twice and others never. A saved ranking can't move.
+     - It lives for `HOME_FEED_SNAPSHOT_TTL_SECONDS`; opening the home page again starts a fresh one.
+
+  👉 Why do anonymous visitors share one ranking?
+     - Without a viewer there are no personal signals, so every visitor would get (almost) the same ranking,
+       and ranking + saving it on every anonymous first page is wasted work and storage.
+     - The shared ranking is re-done every `ANONYMOUS_HOME_FEED_REFRESH_SECONDS`, well within the snapshot TTL,
+       so a visitor who opened it late in the period can still scroll it.
+     - Its cursors aren't tied to a visitor, which is fine: the ranking is public anyway.
+
+  👉 Why is the cursor a rank and not a score?
+     - Inside a saved ranking the position of a video never changes, so "continue after rank 19" is exact.
+*/
+});
+
+export { getHomeFeed, getSubscriptionFeed };
@@ -1,8 +1,31 @@
 import { isValidObjectId } from "mongoose";
 import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { canViewCommentTarget } from "../utils/commentTarget.js";
+import { visibleVideosFilter } from "../utils/videoVisibility.js";
+import {
+  countReactions,
+  toggleReaction,
+} from "../services/reaction.service.js";
+import { syncLikedVideosPlaylist } from "../services/playlist.service.js";
+import { TWEET_REACTIONS } from "../constants.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+
+// e.g. "Video like added", "Comment dislike removed"
+const reactionMessage = (label, { reaction, previous }) =>
+  reaction
+    ? `${label} ${reaction} added successfully`
+    : `${label} ${previous} removed successfully`;
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters (The ID of the video that the user wants to like/unlike)
@@ -17,47 +40,59 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
   }
 
   /*
-     Check if the User Already Liked the Video:
-      - This checks if there's already a like from this user on this video.
+    The video has to exist and be visible to this user.
+    - Unpublished (or still processing) videos of other users are "not found", like everywhere else.
+    - Without this check, a like would also add the video to the "Liked videos" playlist.
   */
-  const existingLike = await Like.findOne({
-    video: videoId,
-    likedBy: userId,
-  });
+  const video = await Video.findOne({
+    _id: videoId,
+    ...visibleVideosFilter(userId),
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
 
   /*
-     Toggle Like Logic:
-    - If the user already liked the video, remove the like (Unlike it).
-    - If the user hasn't liked it yet, create a new like (Like it).
+     Toggle Reaction Logic (`type` in the body: "like" by default, or "dislike"):
+    - If the user already reacted the same way, remove the reaction (Unlike it).
+    - If the user reacted the other way, switch it (a like becomes a dislike).
+    - If the user hasn't reacted yet, add the reaction (Like it).
   */
-  if (existingLike) {
-    // Remove the existing like
-    await Like.findByIdAndDelete(existingLike._id);
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Video unliked successfully"));
+  const { type } = req.body; // validated by `videoLikeSchema`
+  const target = { video: video._id };
+
+  const result = await toggleReaction({ target, userId, type });
+  const reactions = await countReactions(target);
+
+  // "Liked videos" playlist: added on a like, removed on unlike or when switched to a dislike
+  if (result.reaction === "like" || result.previous === "like") {
+    await syncLikedVideosPlaylist({
+      userId,
+      videoId: video._id,
+      liked: result.reaction === "like",
+    });
   }
 
-  // If no like exists, create a new like
-  const likeVideo = await Like.create({
-    video: videoId,
-    likedBy: userId,
-  });
-
   return res
-    .status(201)
-    .json(new ApiResponse(201, likeVideo, "Video liked successfully"));
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...result, reactions },
+        reactionMessage("Video", result)
+      )
+    );
 
   /*
   Toggling Likes - Notes: 
 
-  👉 Why use `findOne()` before creating a new like?
-     - We need to check if the user has already liked the video.
-     - Prevents duplicate likes, ensuring one user can only like a video once.
+  👉 Why is a dislike stored in the `Like` collection too?
+     - A like and a dislike are the same thing with a different `type`.
+     - There is one document per user per video, so a user can never like AND dislike the same video.
 
-  👉 Why use `findByIdAndDelete()` instead of `deleteOne()`?
-     - `findByIdAndDelete()` directly removes a document by `_id` in one step.
-     - `deleteOne({ ... })` works too, but we already have the exact `_id`, so it's faster.
+  👉 Why send the new counts back?
+     - The player updates both buttons ("👍 12  👎 3") without fetching the video again.
 
 */
 });
@@ -75,37 +110,41 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
   }
 
   /*
-    🔎 Check if Like Already Exists:
-      - Searches for an existing like where the user has already liked the comment.
+    The comment can be on a video or on a tweet (community post)
+    - Either way it has to exist, be visible to this user, and not be a "[deleted]" placeholder
   */
-  const existingLike = await Like.findOne({
-    comment: commentId,
-    likedBy: userId,
-  });
-
-  if (existingLike) {
-    // Remove the existing like
-    await Like.findByIdAndDelete(existingLike._id);
-
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Comment unliked successfully"));
+  const comment = await Comment.findById(commentId).select(
+    "video tweet isDeleted"
+  );
+
+  if (
+    !comment ||
+    comment.isDeleted ||
+    !(await canViewCommentTarget(comment, userId))
+  ) {
+    throw new ApiError(404, "Comment not found");
   }
 
   /*
-    Creating a Like Entry:
-    - `comment: commentId` → Associates the like with the specific comment.
-    - `likedBy: userId` → Stores the user who performed the like action.
-    
+    🔎 Toggle the reaction ("like" or "dislike"), same rules as for videos:
+    - `comment: commentId` → Associates the reaction with the specific comment.
+    - `likedBy: userId` → Stores the user who reacted.
   */
-  const likeComment = await Like.create({
-    comment: commentId, // Linking the like to the specific comment
-    likedBy: userId, // Storing which user liked this comment
-  });
+  const { type } = req.body; // validated by `commentLikeSchema`
+  const target = { comment: comment._id };
+
+  const result = await toggleReaction({ target, userId, type });
+  const reactions = await countReactions(target);
 
   return res
-    .status(201)
-    .json(new ApiResponse(201, likeComment, "Comment liked successfully"));
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...result, reactions },
+        reactionMessage("Comment", result)
+      )
+    );
 });
 
 const toggleTweetLike = asyncHandler(async (req, res) => {
@@ -119,38 +158,44 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid tweet ID");
   }
 
-  const existingLike = await Like.findOne({
-    tweet: tweetId,
-    likedBy: userId,
-  });
-
-  if (existingLike) {
-    await Like.findByIdAndDelete(existingLike._id);
+  // Reactions on a tweet that doesn't exist would never be shown (or cleaned up)
+  const tweet = await Tweet.findById(tweetId).select("_id");
 
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Tweet unliked successfully"));
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
   }
 
-  const likeTweet = await Like.create({
-    tweet: tweetId,
-    likedBy: userId,
-  });
+  // Community posts also accept emoji reactions ("love", "laugh"...), still one per user
+  const { type } = req.body; // validated by `tweetLikeSchema`
+  const target = { tweet: tweet._id };
+
+  const result = await toggleReaction({ target, userId, type });
+  const reactions = await countReactions(target, TWEET_REACTIONS);
+
   return res
-    .status(201)
-    .json(new ApiResponse(201, likeTweet, "Tweet liked successfully"));
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...result, reactions },
+        reactionMessage("Tweet", result)
+      )
+    );
 });
 
 const getLikedVideos = asyncHandler(async (req, res) => {
   // Extract the user ID from the authenticated request
   const userId = req.user._id;
 
+  // `limit` and `cursor` (the previous page's `nextCursor`) from the query string
+  const { limit, cursor } = getPaginationParams(req.query);
+
   /*
 
     - We are querying the `Like` model to find all likes where:
       - The `likedBy` field matches the user's ID (meaning videos liked by the user)
   */
-  const likedVideos = await Like.find({
+  const filter = {
     likedBy: userId, // Only fetch likes made by this user
 
     /*
@@ -160,12 +205,22 @@ const getLikedVideos = asyncHandler(async (req, res) => {
       - Without this check, we might accidentally return likes for comments and tweets instead of videos.
     */
     video: { $exists: true },
-  }).populate("video", "_id title url"); // Populate the video details
+    type: "like", // disliked videos are not "liked videos"
+  };
+
+  const likedVideos = await Like.find(applyCursor(filter, cursor, "createdAt"))
+    .sort(cursorSort("createdAt")) // Most recently liked first
+    .limit(limit + 1) // One extra like tells us if there is a next page
+    .populate("video", "_id title url"); // Populate the video details
 
   return res
     .status(200)
     .json(
-      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+      new ApiResponse(
+        200,
+        paginate(likedVideos, limit, "createdAt"),
+        "Liked videos fetched successfully"
+      )
     );
 
   /*
@@ -1,12 +1,43 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { visibleVideosFilter } from "../utils/videoVisibility.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+import { runInTransaction } from "../services/cascade.service.js";
+import {
+  canViewPlaylist,
+  generateShareToken,
+  getPlaylistRole,
+} from "../utils/playlistAccess.js";
+import {
+  addPlaylistItem,
+  getSystemPlaylist,
+} from "../services/playlist.service.js";
+import { PLAYLIST_VISIBILITY, SYSTEM_PLAYLIST_TYPES } from "../constants.js";
+
+// "Liked videos" follows the user's likes, its videos can't be changed by hand
+const assertEditableItems = (playlist) => {
+  if (playlist.systemType === SYSTEM_PLAYLIST_TYPES.LIKED_VIDEOS) {
+    throw new ApiError(
+      400,
+      "Liked videos is updated automatically when you like or unlike a video"
+    );
+  }
+};
 
 const createPlaylist = asyncHandler(async (req, res) => {
   // Extract playlist details from request body
-  const { name, description } = req.body;
+  // `visibility` is optional ("public" by default), validated by `createPlaylistSchema`
+  const { name, description, visibility } = req.body;
 
   /*
     Validate the input:
@@ -22,10 +53,12 @@ const createPlaylist = asyncHandler(async (req, res) => {
     - `name` and `description` are stored.
     - `owner` is set to the currently logged-in user's ID.
     - `Playlist.create()` inserts a new document.
+    - A `shareToken` is generated right away, the owner gets it back to share unlisted playlists.
   */
   const playlist = await Playlist.create({
     name,
     description,
+    visibility,
     owner: req.user._id,
   });
 
@@ -71,27 +104,70 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid user ID");
   }
 
+  const { limit, cursor } = getPaginationParams(req.query);
+
+  /*
+    Which of the user's playlists can the visitor see?
+    - The owner sees all of them.
+    - Everyone else sees the public ones, plus private/unlisted ones they collaborate on.
+      Unlisted playlists are never listed for others, they are opened with their share link.
+  */
+  const viewerId = req.user?._id;
+  const isOwner = viewerId?.toString() === userId;
+
+  const filter = isOwner
+    ? { owner: userId }
+    : {
+        owner: userId,
+        $or: [
+          { visibility: { $in: [PLAYLIST_VISIBILITY.PUBLIC, null] } },
+          ...(viewerId ? [{ "collaborators.user": viewerId }] : []),
+        ],
+      };
+
   /*
-    Fetch all playlists owned by the specified user.
+    Fetch one page of playlists owned by the specified user (newest first).
     - `find({ owner: userId })`: Queries the database for playlists where the `owner` field matches `userId`.
-    - If no playlists are found, an empty array is returned.
+    - The cursor continues after the last playlist of the previous page, one extra playlist tells if there is more.
   */
-  const playlists = await Playlist.find({ owner: userId });
+  const docs = await Playlist.find(applyCursor(filter, cursor, "createdAt"))
+    .sort(cursorSort("createdAt"))
+    .limit(limit + 1);
 
-  // If no playlists exist for the user, return a 404 error.
-  if (!playlists || playlists.length === 0) {
-    throw new ApiError(404, "Playlist not found");
-  }
+  const page = paginate(docs, limit, "createdAt");
+  const playlists = page.items;
+
+  /*
+    This route is public, so strip videos the visitor is not allowed to see.
+    - A playlist can reference videos that were unpublished after being added.
+    - One query finds which of the referenced videos are visible, then each playlist keeps only those.
+  */
+  const visibleVideoIds = new Set(
+    (
+      await Video.find({
+        _id: {
+          $in: playlists.flatMap((playlist) =>
+            playlist.items.map((item) => item.video)
+          ),
+        },
+        ...visibleVideosFilter(req.user?._id),
+      }).distinct("_id")
+    ).map((id) => id.toString())
+  );
+
+  playlists.forEach((playlist) => {
+    playlist.items = playlist.items.filter((item) =>
+      visibleVideoIds.has(item.video.toString())
+    );
+  });
 
   /*
     Send a success response with the retrieved playlists.
-    - The `playlists` array contains all playlists belonging to the user.
+    - `{ items, nextCursor, hasMore }`: `items` is this page of the user's playlists.
   */
   return res
     .status(200)
-    .json(
-      new ApiResponse(200, playlists, "User playlists fetched successfully")
-    );
+    .json(new ApiResponse(200, page, "User playlists fetched successfully"));
 
   /* 
 
@@ -102,9 +178,7 @@ Fetching User Playlists Notes:
    - Returns an array of matching playlists or an empty array if none exist.
 
 👉 What happens if no playlists are found?
-   - We check `if (!playlists || playlists.length === 0)`, meaning:
-     - If `playlists` is `null` or `undefined`, an error is thrown.
-     - If `playlists` is an empty array, it means the user has no playlists, so we return a 404 error.
+   - `items` is an empty array and `hasMore` is false, the user simply has no (more) playlists.
 
 👉 Alternative ways to fetch user playlists?
    - `Playlist.findOne({ owner: userId })`: Returns only the first matching playlist.
@@ -124,38 +198,84 @@ const getPlaylistById = asyncHandler(async (req, res) => {
   }
 
   /*
-    Fetch the playlist from the database.
-    - `findById(playlistId).populate("videos")`:
-      - Finds a playlist by ID.
-      - Uses `.populate("videos")` to fetch full video details instead of just their IDs.
+    Fetch the playlist from the database, with the public profiles of its owner and collaborators.
+    - `+shareToken` is needed to check the share link of unlisted playlists.
   */
-  const playlist = await Playlist.findById(playlistId).populate("videos");
+  const playlist = await Playlist.findById(playlistId)
+    .select("+shareToken")
+    .populate("owner", "username fullName avatar")
+    .populate("collaborators.user", "username fullName avatar")
+    .lean();
 
-  // If no playlist is found, return a 404 error.
-  if (!playlist) {
+  /*
+    If no playlist is found, or the visitor may not open it, return a 404 error.
+    - Private playlists: owner and collaborators only.
+    - Unlisted playlists: also anyone with the share link (`?token=`).
+    - 404 instead of 403, so a private playlist's existence is not revealed.
+  */
+  const viewerId = req.user?._id;
+
+  if (!playlist || !canViewPlaylist(playlist, viewerId, req.query.token)) {
     throw new ApiError(404, "Playlist not found");
   }
 
+  const myRole = getPlaylistRole(playlist, viewerId);
+
+  // The share token is a secret: only the owner gets it (to copy the link)
+  if (myRole !== "owner") {
+    delete playlist.shareToken;
+  }
+
+  /*
+    Hydrate the items with their video (and the video's channel) in one query.
+    - Videos the user is not allowed to see (unpublished since they were added) are left out,
+      but the other items keep their real `position`, which is what `/reorder` expects.
+  */
+  const videos = await Video.find({
+    _id: { $in: playlist.items.map((item) => item.video) },
+    ...visibleVideosFilter(req.user?._id),
+  })
+    .select("title description thumbnail duration views createdAt owner")
+    .populate("owner", "username fullName avatar")
+    .lean();
+
+  const videosById = new Map(
+    videos.map((video) => [video._id.toString(), video])
+  );
+
+  const items = playlist.items
+    .map((item, position) => ({
+      position,
+      addedAt: item.addedAt,
+      video: videosById.get(item.video.toString()),
+    }))
+    .filter((item) => item.video);
+
   /*
     Send a success response with the playlist details.
-    - The playlist object contains all its details, including videos.
+    - `items` are in playlist order: `{ position, addedAt, video: { ..., owner } }`
+    - `myRole` ("owner", "editor", "viewer" or null) tells the client which buttons to show
   */
   return res
     .status(200)
-    .json(new ApiResponse(200, playlist, "Playlist fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { ...playlist, items, myRole },
+        "Playlist fetched successfully"
+      )
+    );
 
   /* 
 
 Fetching a Playlist by ID - Notes:
 
-👉 What does `.populate("videos")` do?
-   - By default, MongoDB stores only video IDs in a playlist.
-   - `.populate("videos")` replaces IDs with actual video objects.
-   - This makes it easier to access video details without extra queries.
+👉 Why not `.populate("items.video")`?
+   - populate can't filter out videos the user isn't allowed to see while keeping the positions.
+   - A Map from video ID to video keeps the playlist order with a single extra query.
 
-👉 Alternative methods to retrieve playlists?
-   - `Playlist.findOne({ _id: playlistId })`: Similar but more flexible with filters.
-   - `Playlist.findById(playlistId).lean()`: Returns a plain JavaScript object instead of a Mongoose document.
+👉 Why `.lean()`?
+   - Returns plain JavaScript objects instead of Mongoose documents, which is all we need to build the response.
    
  */
 });
@@ -172,37 +292,34 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid playlist or video ID");
   }
 
+  // Optional `position` in the body inserts the video there instead of at the end
+  const { position } = req.body;
+
+  assertEditableItems(req.resource); // loaded by `requireOwnership`
+
+  // Only videos the user can see can be added
+  const video = await Video.findOne({
+    _id: videoId,
+    ...visibleVideosFilter(req.user._id),
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
   /*
-    Using MongoDB Aggregation to update the playlist:
-    1. `$match`: Finds the playlist document with the given playlistId.
-    2. `$addFields`: Adds or updates the `videos` array.
-       - `$setUnion`: Ensures that the video is added only if it's not already in the array.
-       - Converts videoId into an ObjectId before adding.
-    3. `$merge`: Updates the existing playlist document in the `playlists` collection.
+    Add the video to the playlist in one atomic update (see `addPlaylistItem`):
+    - Nothing is added if the video is already in the playlist, so two quick clicks can never add it twice.
   */
-  const updatedPlaylist = await Playlist.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(playlistId), // Find the playlist by ID
-      },
-    },
-    {
-      $addFields: {
-        videos: {
-          $setUnion: ["$videos", [new mongoose.Types.ObjectId(videoId)]], // Ensure unique videos
-        },
-      },
-    },
-    {
-      $merge: {
-        into: "playlists", // Update the existing playlist collection
-      },
-    },
-  ]);
+  const updatedPlaylist = await addPlaylistItem(
+    playlistId,
+    video._id,
+    position
+  );
 
-  // If no update was made, return an error.
+  // The playlist exists (checked by `requireOwnership`), so no match means a duplicate
   if (!updatedPlaylist) {
-    throw new ApiError(404, "Playlist not found or video already added");
+    throw new ApiError(409, "Video is already in this playlist");
   }
 
   /*
@@ -223,28 +340,69 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 
  Adding a Video to a Playlist - Notes:
 
-👉 What does `$setUnion` do?
-   - Ensures that the `videos` array only contains unique values.
-   - If the video is already in the playlist, it won’t be added again.
-   - Helps prevent duplicate entries.
-
-👉 How does `$merge` work?
-   - Takes the modified playlist and updates the `playlists` collection.
-   - If the document exists, it updates it.
-   - If the document doesn’t exist, it creates a new one (though in this case, it’s always an update).
-
-👉 Alternative method using `findByIdAndUpdate`
-   ```
-   const updatedPlaylist = await Playlist.findByIdAndUpdate(
-     playlistId,
-     { $addToSet: { videos: videoId } }, // $addToSet ensures uniqueness
-     { new: true }
-   );
-
-   ```
+👉 Why not `$addToSet`?
+   - `$addToSet` only prevents exact duplicates. Items also have an `addedAt` date,
+     so the same video added twice would be two "different" items.
+   - Filtering on `"items.video": { $ne: videoId }` makes the check and the insert a single operation.
+
+👉 Why is the position the array index?
+   - Arrays keep their order in MongoDB, so there are no position numbers to keep in sync
+     when an item is added, removed or moved.
  */
 });
 
+const reorderPlaylistItem = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  // validated by `reorderPlaylistSchema`: `position` is the new 0-based index
+  const { videoId, position } = req.body;
+
+  // Loaded by `requireOwnership`
+  const playlist = req.resource;
+  assertEditableItems(playlist);
+
+  const item = playlist.items.find((item) => item.video.equals(videoId));
+
+  if (!item) {
+    throw new ApiError(404, "Video is not in this playlist");
+  }
+
+  // Moving past the end means "move to the end"
+  const targetPosition = Math.min(position, playlist.items.length - 1);
+
+  /*
+    Move = remove the item, then insert it back at the new index.
+    - Both updates run in one transaction, so nobody sees the playlist without the item.
+    - The item keeps its original `addedAt`.
+  */
+  await runInTransaction(async (session) => {
+    await Playlist.updateOne(
+      { _id: playlistId },
+      { $pull: { items: { video: item.video } } },
+      { session }
+    );
+    await Playlist.updateOne(
+      { _id: playlistId },
+      {
+        $push: {
+          items: {
+            $each: [{ video: item.video, addedAt: item.addedAt }],
+            $position: targetPosition,
+          },
+        },
+      },
+      { session }
+    );
+  });
+
+  const reorderedPlaylist = await Playlist.findById(playlistId);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, reorderedPlaylist, "Playlist reordered successfully")
+    );
+});
+
 const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
   // Extract playlistId and videoId from request parameters
   const { playlistId, videoId } = req.params;
@@ -254,6 +412,8 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid playlist or video ID");
   }
 
+  assertEditableItems(req.resource); // loaded by `requireOwnership`
+
   /*
 
     - `findByIdAndUpdate(playlistId, update, options)`: 
@@ -261,7 +421,7 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
       - Updates it based on the provided modifications.
     - `$pull`: 
       - Removes a specific value from an array.
-      - Here, it removes `videoId` from the `videos` array.
+      - Here, it removes the item of `videoId` from the `items` array.
     - `new: true`: 
       - Ensures we get the updated playlist as a response.
 
@@ -270,7 +430,7 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     playlistId,
     {
       $pull: {
-        videos: new mongoose.Types.ObjectId(videoId),
+        items: { video: new mongoose.Types.ObjectId(videoId) },
       },
     },
     {
@@ -322,6 +482,11 @@ const deletePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid playlist ID");
   }
 
+  // "Watch Later" and "Liked videos" belong to every account
+  if (req.resource.systemType) {
+    throw new ApiError(403, "System playlists can't be deleted");
+  }
+
   /*
     Delete the playlist from the database using findByIdAndDelete.
     - If the playlist exists, it will be removed from the database.
@@ -366,7 +531,7 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     - `name` and `description` contain the updated values for the playlist.
   */
   const { playlistId } = req.params;
-  const { name, description } = req.body;
+  const { name, description, visibility } = req.body; // `visibility` is optional
 
   //  Step 1: Validate the playlist ID
   if (!isValidObjectId(playlistId)) {
@@ -378,6 +543,11 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Name or description cannot be empty");
   }
 
+  // "Watch Later" and "Liked videos" keep their name and stay private (loaded by `requireOwnership`)
+  if (req.resource.systemType) {
+    throw new ApiError(403, "System playlists can't be renamed");
+  }
+
   /*
      Step 3: Find and update the playlist in the database
     - `findByIdAndUpdate` is used to locate and modify the playlist document.
@@ -390,18 +560,28 @@ const updatePlaylist = asyncHandler(async (req, res) => {
       $set: {
         name,
         description,
+        ...(visibility ? { visibility } : {}),
       },
     },
     {
       new: true,
     }
-  );
+  ).select("+shareToken");
 
   //  If the playlist is not found, return a 404 error.
   if (!updatedPlaylistDoc) {
     throw new ApiError(404, "Playlist not found");
   }
 
+  // Playlists created before share links existed get their token when they become unlisted
+  if (
+    updatedPlaylistDoc.visibility === PLAYLIST_VISIBILITY.UNLISTED &&
+    !updatedPlaylistDoc.shareToken
+  ) {
+    updatedPlaylistDoc.shareToken = generateShareToken();
+    await updatedPlaylistDoc.save();
+  }
+
   /*
      Step 4: Send a success response
     - The updated playlist is returned in the response.
@@ -427,12 +607,202 @@ Updating a Playlist - Notes:
 */
 });
 
+const regenerateShareToken = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  /*
+    A new token invalidates the old share link
+    - Useful when an unlisted link was shared with the wrong people.
+  */
+  const playlist = await Playlist.findByIdAndUpdate(
+    playlistId,
+    { $set: { shareToken: generateShareToken() } },
+    { new: true }
+  ).select("+shareToken");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { playlistId: playlist._id, shareToken: playlist.shareToken },
+        "Share link regenerated successfully"
+      )
+    );
+});
+
+const addCollaborator = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  // validated by `addCollaboratorSchema`, `role` defaults to "editor"
+  const { userId, role } = req.body;
+
+  // Loaded by `requireOwnership`
+  const playlist = req.resource;
+
+  if (playlist.systemType) {
+    throw new ApiError(
+      403,
+      "System playlists can't be shared with collaborators"
+    );
+  }
+
+  if (playlist.owner.equals(userId)) {
+    throw new ApiError(400, "The owner can't be a collaborator");
+  }
+
+  if (!(await User.exists({ _id: userId }))) {
+    throw new ApiError(404, "User not found");
+  }
+
+  /*
+    Invite, or change the role of an existing collaborator
+    - The first update only matches if the user is already a collaborator (positional `$` operator).
+    - Otherwise the user is pushed, unless a parallel request added them in the meantime.
+  */
+  const updated = await Playlist.updateOne(
+    { _id: playlistId, "collaborators.user": userId },
+    { $set: { "collaborators.$.role": role } }
+  );
+
+  if (!updated.matchedCount) {
+    await Playlist.updateOne(
+      { _id: playlistId, "collaborators.user": { $ne: userId } },
+      {
+        $push: { collaborators: { user: userId, role, addedAt: new Date() } },
+      }
+    );
+  }
+
+  const updatedPlaylist = await Playlist.findById(playlistId).populate(
+    "collaborators.user",
+    "username fullName avatar"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist.collaborators,
+        "Collaborator saved successfully"
+      )
+    );
+});
+
+const removeCollaborator = asyncHandler(async (req, res) => {
+  // The owner removes someone, or a collaborator leaves (see the route)
+  const { playlistId, userId } = req.params;
+
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    { _id: playlistId, "collaborators.user": userId },
+    { $pull: { collaborators: { user: userId } } },
+    { new: true }
+  );
+
+  if (!updatedPlaylist) {
+    throw new ApiError(404, "Collaborator not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist.collaborators,
+        "Collaborator removed successfully"
+      )
+    );
+});
+
+const getSystemPlaylists = asyncHandler(async (req, res) => {
+  /*
+    The logged-in user's "Watch Later" and "Liked videos" playlists
+    - Created here if the account is older than system playlists
+    - Open one with `GET /playlist/:playlistId` to get its videos
+  */
+  const [watchLater, likedVideos] = await Promise.all([
+    getSystemPlaylist(req.user._id, SYSTEM_PLAYLIST_TYPES.WATCH_LATER),
+    getSystemPlaylist(req.user._id, SYSTEM_PLAYLIST_TYPES.LIKED_VIDEOS),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { watchLater, likedVideos },
+        "System playlists fetched successfully"
+      )
+    );
+});
+
+const addToWatchLater = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findOne({
+    _id: videoId,
+    ...visibleVideosFilter(req.user._id),
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const watchLater = await getSystemPlaylist(
+    req.user._id,
+    SYSTEM_PLAYLIST_TYPES.WATCH_LATER
+  );
+
+  // Appended: Watch Later is a queue, oldest saved video first
+  const updatedPlaylist = await addPlaylistItem(watchLater._id, video._id);
+
+  if (!updatedPlaylist) {
+    throw new ApiError(409, "Video is already in Watch Later");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Video saved to Watch Later"));
+});
+
+const removeFromWatchLater = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const watchLater = await getSystemPlaylist(
+    req.user._id,
+    SYSTEM_PLAYLIST_TYPES.WATCH_LATER
+  );
+
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    { _id: watchLater._id, "items.video": videoId },
+    { $pull: { items: { video: videoId } } },
+    { new: true }
+  );
+
+  if (!updatedPlaylist) {
+    throw new ApiError(404, "Video is not in Watch Later");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, updatedPlaylist, "Video removed from Watch Later")
+    );
+});
+
 export {
   createPlaylist,
   getUserPlaylists,
   getPlaylistById,
   addVideoToPlaylist,
+  reorderPlaylistItem,
   removeVideoFromPlaylist,
   deletePlaylist,
   updatePlaylist,
+  regenerateShareToken,
+  addCollaborator,
+  removeCollaborator,
+  getSystemPlaylists,
+  addToWatchLater,
+  removeFromWatchLater,
 };
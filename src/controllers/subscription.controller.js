@@ -3,6 +3,12 @@ import { Subscription } from "../models/subscription.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
 
 const toggleSubscription = asyncHandler(async (req, res) => {
   // Extract channelId from request parameters
@@ -93,23 +99,27 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
     - `.populate("subscriber", "_id name email")` replaces the `subscriber` field (which is just an ID) with full details (ID, name, email).
   */
 
-  const subscribersDocs = await Subscription.find({
-    channel: channelId,
-  }).populate("subscriber", "_id name email");
+  const { limit, cursor } = getPaginationParams(req.query);
 
-  // If no subscribers are found, return a 404 error.
-  if (!subscribersDocs) {
-    throw new ApiError(404, "No subscribers found for this channel");
-  }
+  const subscribersDocs = await Subscription.find(
+    applyCursor({ channel: channelId }, cursor, "createdAt")
+  )
+    .sort(cursorSort("createdAt")) // Newest subscribers first
+    .limit(limit + 1) // One extra document tells us if there is a next page
+    .populate("subscriber", "_id name email");
 
   /*
     Send a success response with the list of subscribers.
-    - `subscribersDocs` contains the list of all users subscribed to the channel.
+    - `{ items, nextCursor, hasMore }`: `items` is one page of the users subscribed to the channel.
   */
   return res
     .status(200)
     .json(
-      new ApiResponse(200, subscribersDocs, "Subscribers fetched successfully")
+      new ApiResponse(
+        200,
+        paginate(subscribersDocs, limit, "createdAt"),
+        "Subscribers fetched successfully"
+      )
     );
 
   /*
@@ -181,18 +191,17 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
      - `populate("channel", "_id name email")`: Fetches the channel details (_id, name, email) for each subscription.
      - Why? Because subscriptions store only IDs. Populating converts them into actual channel objects. */
 
-  const subscribedChannels = await Subscription.find({
-    subscriber: subscriberId,
-  }).populate("channel", "_id name email");
+  const { limit, cursor } = getPaginationParams(req.query);
 
-  // If no subscribed channels found, return an error
-  if (!subscribedChannels || subscribedChannels.length === 0) {
-    throw new ApiError(404, "No subscribed channels found");
-  }
+  const subscribedChannels = await Subscription.find(
+    applyCursor({ subscriber: subscriberId }, cursor, "createdAt")
+  )
+    .sort(cursorSort("createdAt")) // Most recent subscriptions first
+    .limit(limit + 1) // One extra document tells us if there is a next page
+    .populate("channel", "_id name email");
 
-  /*  Why are we checking `subscribedChannels.length === 0`?
-     - `.find()` always returns an array. If empty, that means no subscriptions exist.
-     - Without this check, the user might receive an empty array instead of a proper message.
+  /*  What if the user has no subscriptions?
+     - `items` is an empty array and `hasMore` is false, the same envelope as every other list.
   */
 
   // Return a success response with the list of subscribed channels
@@ -201,7 +210,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(
         200,
-        subscribedChannels,
+        paginate(subscribedChannels, limit, "createdAt"),
         "Subscribed channels fetched successfully"
       )
     );
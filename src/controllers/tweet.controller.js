@@ -3,6 +3,18 @@ import { Tweet } from "../models/tweet.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  deleteTweetCascade,
+  runInTransaction,
+} from "../services/cascade.service.js";
+import { summarizeReactions } from "../services/reaction.service.js";
+import { TWEET_REACTIONS } from "../constants.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
 
 const createTweet = asyncHandler(async (req, res) => {
   const { content } = req.body; // Extracts the tweet content from the request body
@@ -53,27 +65,53 @@ const getUserTweets = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid user ID");
   }
 
+  // `limit` and `cursor` (the previous page's `nextCursor`) from the query string
+  const { limit, cursor } = getPaginationParams(req.query);
+
   // Fetch tweets from the database
   // We query the Tweet collection for tweets where the 'owner' field matches the userId
   // We also sort the tweets by 'createdAt' in descending order (-1) to show the latest tweets first
-  const tweets = await Tweet.find({ owner: userId }).sort({ createdAt: -1 });
+  // One extra tweet is fetched to know whether there is a next page
+  const tweets = await Tweet.find(
+    applyCursor({ owner: userId }, cursor, "createdAt")
+  )
+    .sort(cursorSort("createdAt"))
+    .limit(limit + 1)
+    .lean();
 
-  //  Handle case where no tweets are found
-  if (!tweets || tweets.length === 0) {
-    throw new ApiError(404, "Tweets are not found");
-  }
+  /*
+    Reaction counts per type ("like", "dislike", emoji...) and the viewer's own reaction
+    - Computed for the whole page at once instead of one query per tweet
+  */
+  const summaries = await summarizeReactions(
+    "tweet",
+    tweets.map((tweet) => tweet._id),
+    req.user._id,
+    TWEET_REACTIONS
+  );
+  const tweetsWithReactions = tweets.map((tweet) => ({
+    ...tweet,
+    ...summaries.get(tweet._id.toString()),
+  }));
 
-  // Return the response with tweets
+  // Return the response with tweets: `{ items, nextCursor, hasMore }`
   return res
     .status(200)
-    .json(new ApiResponse(200, tweets, "User tweets fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        paginate(tweetsWithReactions, limit, "createdAt"),
+        "User tweets fetched successfully"
+      )
+    );
 
   /*
 Fetching User Tweets - Notes:
 
-👉 Why do we use `.sort({ createdAt: -1 })`?
+👉 Why do we use `.sort(cursorSort("createdAt"))`?
    - Sorting ensures that the newest tweets appear first in the response.
-   - `-1` means descending order, so the most recent tweets are shown first.
+   - It sorts by `createdAt: -1` (most recent first) and then `_id`, so tweets posted in the same
+     millisecond still have a fixed order and the cursor knows exactly where a page ended.
 
 */
 });
@@ -193,19 +231,23 @@ const deleteTweet = asyncHandler(async (req, res) => {
   }
 
   /*
-    Delete the tweet from the database.
-    - `findByIdAndDelete(tweetId)`: Finds the tweet by its ID and deletes it.
+    Delete the tweet from the database, together with the likes on it.
+    - `deleteTweetCascade` returns how many documents of each kind were removed.
   */
-  const deletedTweet = await Tweet.findByIdAndDelete(tweetId);
+  const removed = await runInTransaction((session) =>
+    deleteTweetCascade(tweet._id, session)
+  );
 
-  if (!deletedTweet) {
+  if (!removed.tweets) {
     throw new ApiError(500, "Something went wrong while deleting a tweet");
   }
 
   // Send a success response back to the user.
   res
     .status(200)
-    .json(new ApiResponse(200, deletedTweet, "Tweet deleted successfully"));
+    .json(
+      new ApiResponse(200, { tweet, removed }, "Tweet deleted successfully")
+    );
 
   /*
 
@@ -215,9 +257,9 @@ const deleteTweet = asyncHandler(async (req, res) => {
      - Prevents errors when trying to delete something that isn't there.
      - Avoids unnecessary database operations.
 
-  👉 Why use `findByIdAndDelete()` instead of `deleteOne()`?
-     - `findByIdAndDelete()` finds a document by `_id` and removes it in one step.
-     - `deleteOne({ _id: tweetId })` works too, but we already have the exact `_id`, so it’s simpler.
+  👉 Why use `deleteTweetCascade()` instead of `findByIdAndDelete()`?
+     - `findByIdAndDelete()` would only remove the tweet and leave its likes behind.
+     - The cascade removes the tweet and everything pointing at it in one transaction.
      
 */
 });
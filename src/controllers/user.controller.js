@@ -1,11 +1,21 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { deleteFilesQuietly, keyFromUrl, uploadFile } from "../storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken";
-import mongoose from "mongoose";
-import { v2 as cloudinary } from "cloudinary";
+import mongoose, { isValidObjectId } from "mongoose";
+import { visibleVideosFilter } from "../utils/videoVisibility.js";
+import { escapeRegex } from "../utils/regex.js";
+import {
+  applyCursor,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
+import { ensureSystemPlaylists } from "../services/playlist.service.js";
+import { clearViewHistory } from "../services/view.service.js";
 
 const generateAccessAndRefereshTokens = async (userId) => {
   // Function to generate new access & refresh tokens for a user
@@ -85,12 +95,18 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is required");
   }
 
-  // Uploading avatar to Cloudinary (fancy cloud storage)
-  // Cloudinary returns an object with a URL if successful
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // Uploading avatar to the configured storage (Cloudinary, S3 or local disk)
+  // The storage layer returns an object with a URL if successful
+  const avatar = await uploadFile(avatarLocalPath, {
+    folder: "avatars",
+    resourceType: "image",
+  });
 
   // Uploading cover image (if provided)
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    folder: "cover-images",
+    resourceType: "image",
+  });
 
   // Making sure the avatar actually uploaded
   if (!avatar) {
@@ -100,13 +116,24 @@ const registerUser = asyncHandler(async (req, res) => {
   // Creating a new user in the database
   const user = await User.create({
     fullName,
-    avatar: avatar.url, // Saving avatar URL from Cloudinary
+    avatar: avatar.url, // Saving avatar URL from the storage provider
+    avatarKey: avatar.key, // Saving the storage key so the file can be deleted when replaced
     coverImage: coverImage?.url || "", // Saving cover image URL (or empty if none provided)
+    coverImageKey: coverImage?.key,
     email,
     password,
     username: username.toLowerCase(), // Lowercasing username to keep things neat
   });
 
+  /*
+    Every account starts with its "Watch Later" and "Liked videos" playlists.
+    - The account already exists at this point, so a failure here must not fail the registration:
+      `getSystemPlaylist` creates a missing system playlist the first time it is used anyway.
+  */
+  await ensureSystemPlaylists(user._id).catch((error) =>
+    console.log("Creating system playlists failed for user", user._id, error)
+  );
+
   // Fetching the newly created user, but without sensitive info (password, refresh token)
   // .select("-password -refreshToken") removes those fields from the returned object
   const createdUser = await User.findById(user._id).select(
@@ -135,7 +162,7 @@ TL;DR of what’s happening here:
 
 4. Grab the avatar file (mandatory) and an optional cover image.
 
-5. Upload images to Cloudinary, which returns URLs.
+5. Upload images through the storage layer, which returns URLs.
 
 6. Save user data in the database (with uploaded image URLs).
 
@@ -204,6 +231,11 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid user credentials");
   }
 
+  if (user.isBanned) {
+    // Banned users can't log in anymore (403 Forbidden: we know who they are, but they're not allowed)
+    throw new ApiError(403, "Your account has been banned");
+  }
+
   // Generate new access & refresh tokens for the user
   const { accessToken, refreshToken } = await generateAccessAndRefereshTokens(
     user._id
@@ -496,25 +528,14 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found"); // 404 means "User does not exist"
   }
 
-  if (user.avatar) {
-    const publicId = user.avatar.split("/").pop().split(".")[0]; // Extract Cloudinary public_id
-    await cloudinary.uploader.destroy(publicId); // Delete old avatar from Cloudinary
-  }
-
-  /*
-    If the user already has an avatar, delete the old one from Cloudinary
-    - user.avatar contains the URL of the current avatar (e.g., "https://res.cloudinary.com/.../avatar123.jpg")
-    - We need to extract the unique identifier ("avatar123") to delete the correct image
-    - .split("/").pop() gets the last part of the URL ("avatar123.jpg")
-    - .split(".")[0] removes the file extension (.jpg), leaving just "avatar123"
-    - This ensures we delete only the user's previous avatar and not anything else!
-  */
-
-  // Upload the new avatar to Cloudinary
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // Upload the new avatar to the configured storage
+  const avatar = await uploadFile(avatarLocalPath, {
+    folder: "avatars",
+    resourceType: "image",
+  });
 
   // If the upload fails for some reason, throw an error
-  if (!avatar.url) {
+  if (!avatar?.url) {
     throw new ApiError(400, "Error while uploading on avatar");
   }
 
@@ -523,11 +544,25 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     {
       $set: {
         avatar: avatar.url,
+        avatarKey: avatar.key,
       },
     },
     { new: true }
   ).select("-password");
 
+  if (user.avatar) {
+    // Delete old avatar from storage (only now that the new one is saved)
+    await deleteFilesQuietly([user.avatarKey || keyFromUrl(user.avatar)]);
+  }
+
+  /*
+    If the user already had an avatar, delete the old one from storage
+    - user.avatarKey is the storage key saved when it was uploaded (e.g., "image/avatars/avatar123")
+    - Older accounts have no key, so keyFromUrl() derives it from the URL
+      (e.g., "https://res.cloudinary.com/.../avatars/avatar123.jpg" -> "image/avatars/avatar123")
+    - This ensures we delete only the user's previous avatar and not anything else!
+  */
+
   /*
     Updating the user's avatar in the database
     - $set operator updates only the avatar field without changing other user details
@@ -544,13 +579,16 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
  Deep Dive into Avatar Updates:
 
 
-👉 Why do we delete the old avatar from Cloudinary?
+👉 Why do we delete the old avatar from storage?
    - Prevents unnecessary storage usage and clutter.
    - Think of it like replacing your profile picture on social media – you don’t want 10 old ones hanging around!
 
-👉 How does extracting publicId work?
-   - Cloudinary stores images with unique URLs like "https://res.cloudinary.com/.../avatar123.jpg".
-   - To delete the right file, we extract "avatar123" using .split("/").pop().split(".")[0].
+👉 Why delete the old avatar after the update and not before?
+   - If the upload fails, the user keeps a working avatar instead of a broken link.
+
+👉 How does keyFromUrl() work?
+   - Every storage driver knows what its URLs look like (Cloudinary, S3 bucket URL, `/media/...`).
+   - It strips the host/prefix and returns the key the provider uses to identify the file.
    - This prevents accidental deletions and ensures we remove only the intended avatar!
 
 👉 Why use $set instead of replacing the entire user document?
@@ -574,15 +612,12 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
-  // Delete old cover image if exists
-  if (user.coverImage) {
-    const publicId = user.coverImage.split("/").pop().split(".")[0]; // Extract Cloudinary public_id
-    await cloudinary.uploader.destroy(publicId);
-  }
-
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    folder: "cover-images",
+    resourceType: "image",
+  });
 
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiError(400, "Error while uploading on avatar");
   }
 
@@ -591,11 +626,19 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     {
       $set: {
         coverImage: coverImage.url,
+        coverImageKey: coverImage.key,
       },
     },
     { new: true }
   ).select("-password");
 
+  // Delete old cover image if exists
+  if (user.coverImage) {
+    await deleteFilesQuietly([
+      user.coverImageKey || keyFromUrl(user.coverImage),
+    ]);
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, userDoc, "Cover image updated successfully"));
@@ -671,7 +714,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         },
         isSubscribed: {
           $cond: {
-            if: { $in: [req.user?._id, "$subscribers.subscriber"] }, // Check if logged-in user's ID exists in the subscriber list
+            if: { $in: [req.user?._id ?? null, "$subscribers.subscriber"] }, // Check if logged-in user's ID exists in the subscriber list (always false for anonymous visitors)
             then: true, // If found, return true (user is subscribed)
             else: false, // Otherwise, return false (user is NOT subscribed)
           },
@@ -691,7 +734,10 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         isSubscribed: 1, // Include whether logged-in user is subscribed
         avatar: 1, // Include avatar image
         coverImage: 1, // Include cover image
-        email: 1, // Include email
+        email: {
+          // The profile is public, so the email is only returned to the channel owner
+          $cond: [{ $eq: ["$_id", req.user?._id ?? null] }, "$email", "$$REMOVE"],
+        },
       },
     },
   ]);
@@ -739,55 +785,90 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 
 const getWatchHistory = asyncHandler(async (req, res) => {
   // Function to get the watch history of a user
-  // This function retrieves the videos a user has watched along with the details of the video owner
+  // This function retrieves the videos a user has watched (newest first), how far they got in each one
+  // and the details of the video owner
 
   /*
-    Step 1: Find the user in the database using aggregation
+    Step 1: Read pagination details from the query string
+    - ?limit=20 returns 20 videos, ?cursor=<nextCursor> continues after the previous page
   */
-  const user = await User.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(req.user._id), // Convert user ID to ObjectId and match it in the database
-      },
-    },
+  const { q = "", from, to } = req.query;
+  const { limit, cursor } = getPaginationParams(req.query);
 
-    /*
-        Step 1.1: Convert user ID to ObjectId and match it in the database
-        - req.user._id is a string representation of the user's ID.
-        - MongoDB stores IDs as ObjectId (a special type of ID used for indexing and efficiency).
-        - We use 'new mongoose.Types.ObjectId()' to convert the string into an ObjectId.
-        - This ensures we can correctly match the user in the database.
-        - If we don't do this conversion, MongoDB might not find the user because it's expecting an ObjectId.
-      */
+  const userId = new mongoose.Types.ObjectId(req.user._id);
 
+  /*
+    Step 1.1: Optional filters
+    - q: part of the video title (case-insensitive)
+    - from / to: only videos last watched in this date range
+  */
+  const searchText = q.trim();
+  const watchedFrom = from ? new Date(from) : null;
+  const watchedTo = to ? new Date(to) : null;
+
+  if (
+    (watchedFrom && Number.isNaN(watchedFrom.getTime())) ||
+    (watchedTo && Number.isNaN(watchedTo.getTime()))
+  ) {
+    throw new ApiError(400, "from and to must be valid dates");
+  }
+
+  /*
+    Step 2: Aggregate over the user's watch progress documents
+    - Each WatchProgress document = one video this user watched + how far they got.
+  */
+  const history = await WatchProgress.aggregate([
+    {
+      $match: applyCursor(
+        {
+          user: userId, // Only this user's progress
+          ...(watchedFrom || watchedTo
+            ? {
+                lastWatchedAt: {
+                  ...(watchedFrom ? { $gte: watchedFrom } : {}),
+                  ...(watchedTo ? { $lte: watchedTo } : {}),
+                },
+              }
+            : {}),
+        },
+        cursor,
+        "lastWatchedAt"
+      ),
+    },
+    {
+      $sort: cursorSort("lastWatchedAt"), // Most recently watched first
+    },
     {
       /*
-        Step 2: Fetch user's watch history using $lookup
-        - The 'watchHistory' field in User contains an array of video IDs the user has watched
-        - We use $lookup to match these IDs with actual videos in the 'videos' collection
+        Step 3: Fetch the video details using $lookup
+        - Videos that were unpublished since (and aren't ours) are filtered out in the sub-pipeline
       */
       $lookup: {
         from: "videos", // Collection where videos are stored
-        localField: "watchHistory", // Field in 'User collection' that stores watched video IDs
-
-        foreignField: "_id", // Field in 'Videos collection' that matches the video IDs
-        as: "watchHistory", // Store the result in 'watchHistory'
+        localField: "video", // Field in 'WatchProgress collection' that stores the watched video ID
+        foreignField: "_id", // Field in 'Videos collection' that matches the video ID
+        as: "video",
         pipeline: [
-          // A sub-pipeline to fetch additional details
+          {
+            $match: {
+              ...visibleVideosFilter(userId),
+              ...(searchText
+                ? { title: { $regex: escapeRegex(searchText), $options: "i" } }
+                : {}),
+            },
+          },
           {
             /*
-              Step 3: Fetch video owner details
+              Step 4: Fetch video owner details
               - Each video has an 'owner' field that stores the ID of the uploader
               - We use $lookup again to match this ID with the 'users' collection
-              - This allows us to fetch the owner's details (name, username, avatar)
             */
             $lookup: {
               from: "users", // Collection where user details are stored
-              localField: "owner", // Field in 'Users collection' storing owner ID
-              foreignField: "_id", // Field in 'Videos collection' to match the owner ID
+              localField: "owner", // Field in 'Videos collection' storing owner ID
+              foreignField: "_id", // Field in 'Users collection' to match the owner ID
               as: "owner", // Store the result in 'owner'
               pipeline: [
-                // Another sub-pipeline to filter required fields
                 {
                   $project: {
                     fullName: 1, // Include owner's full name
@@ -799,11 +880,6 @@ const getWatchHistory = asyncHandler(async (req, res) => {
             },
           },
           {
-            /*
-              Step 4: Convert 'owner' array into a single object using $addFields
-              - $lookup returns an array, even if there is only one owner
-              - We extract the first (and only) owner using $first
-            */
             $addFields: {
               owner: {
                 $first: "$owner", // Extract first element from 'owner' array
@@ -813,15 +889,39 @@ const getWatchHistory = asyncHandler(async (req, res) => {
         ],
       },
     },
+    {
+      /*
+        Step 5: Drop entries whose video is not visible anymore (or doesn't match the title search)
+        - $unwind also turns the one-element 'video' array into a single object
+      */
+      $unwind: "$video",
+    },
+    {
+      /*
+        Step 6: Cut the page
+        - Done after $unwind so hidden videos don't leave holes in the page
+        - One extra entry tells us whether there is a next page
+      */
+      $limit: limit + 1,
+    },
+    {
+      $project: {
+        video: 1, // The watched video with its owner
+        position: 1, // Seconds watched (where to resume)
+        percent: 1, // How much of the video was watched (0-100)
+        completed: 1, // Whether the user finished the video
+        lastWatchedAt: 1, // When the user last watched it (also the cursor sort key)
+      },
+    },
   ]);
 
-  // Step 5: Send the response with the watch history
+  // Step 7: Send the response with the watch history: `{ items, nextCursor, hasMore }`
   return res
-    .status(200) 
+    .status(200)
     .json(
       new ApiResponse(
         200,
-        user[0].watchHistory, // Extract watch history from the first (and only) user in the result
+        paginate(history, limit, "lastWatchedAt"),
         "Watch history fetched successfully"
       )
     );
@@ -829,31 +929,93 @@ const getWatchHistory = asyncHandler(async (req, res) => {
   /*
  Deep Dive into Watch History Fetching:
 
-👉 Why do we use aggregation instead of find()? 
-   - Aggregation allows us to join multiple collections efficiently.
-   - Instead of making separate queries for user, videos and owners, we optimize it into one pipeline.
+👉 Why a separate WatchProgress collection instead of an array on the user?
+   - An array of video IDs can't tell how far someone watched or when.
+   - One document per user + video stores the position, percent and completion flag,
+     and the { user, lastWatchedAt } index makes "newest first" pages cheap.
 
 👉 Why do we use $lookup twice?
-   - First $lookup fetches videos from the user's watch history.
-   - Second $lookup fetches the owner details of each video.
-   - This way, we retrieve all necessary data in one go!
-
-👉 What does $first do in $addFields?
-   - $lookup returns an array, even if there's only one matching document.
-   - $first extracts the first element, so we don't return an array with one object inside.
-   - Think of it like taking a single piece of candy out of a pack instead of carrying the whole pack!
-
-👉 Why do we use $project inside the second $lookup?
-   - To select only the necessary fields (fullName, username, avatar) from the user data.
-   - This reduces the data size and makes the response more efficient.
-
-👉 Why do we access user[0].watchHistory instead of just user.watchHistory?
-   - Aggregation returns an array of results, even if there's only one user.
-   - We extract the first user (index 0) and then access their watchHistory.
-   - It's like picking the first item from a search result list!
+   - First $lookup fetches the watched video.
+   - Second $lookup (inside the first one) fetches the owner details of that video.
+
+👉 Why paginate with a cursor on lastWatchedAt?
+   - Watching a video moves it to the top of the history, which would shift $skip-based pages.
+   - The cursor continues after the last entry the client has seen, whatever happened at the top.
 */
 });
 
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  // Removes a single video from the logged-in user's watch history
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  // The view record of this video forgets the playback position too (it stays for view deduplication)
+  const [result, views] = await Promise.all([
+    WatchProgress.deleteOne({ user: req.user._id, video: videoId }),
+    clearViewHistory(req.user._id, videoId),
+  ]);
+
+  if (!result.deletedCount && !views.modifiedCount) {
+    throw new ApiError(404, "Video not found in watch history");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { videoId }, "Video removed from watch history")
+    );
+});
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  // Removes every entry (and the saved playback positions) from the logged-in user's watch history
+  const [result] = await Promise.all([
+    WatchProgress.deleteMany({ user: req.user._id }),
+    clearViewHistory(req.user._id),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { removed: result.deletedCount },
+        "Watch history cleared successfully"
+      )
+    );
+});
+
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+  /*
+    Pauses or resumes watch history recording
+    - While paused, watching videos doesn't add them to the history or save the playback position
+    - Views are still counted, pausing history only affects what is stored about the user
+  */
+  const { paused } = req.body;
+
+  if (typeof paused !== "boolean") {
+    throw new ApiError(400, "paused must be true or false");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: { historyPaused: paused } },
+    { new: true }
+  ).select("historyPaused");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { historyPaused: user.historyPaused },
+        paused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
 export {
   registerUser,
   loginUser,
@@ -866,4 +1028,7 @@ export {
   updateUserCoverImage,
   getUserChannelProfile,
   getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  setWatchHistoryPaused,
 };
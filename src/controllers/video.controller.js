@@ -1,36 +1,91 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
-import { getVideoDuration } from "../utils/ffmpeg.js";
+import {
+  deleteFilesQuietly,
+  getSignedFileUrl,
+  getStorage,
+  keyFromUrl,
+  uploadFile,
+} from "../storage/index.js";
+import { getHlsFolder } from "../utils/hls.js";
+import { removeUploadedFiles } from "../middlewares/multer.middleware.js";
+import {
+  deleteVideoCascade,
+  runInTransaction,
+} from "../services/cascade.service.js";
+import {
+  getViewerKey,
+  recordView,
+  saveWatchProgress,
+} from "../services/view.service.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { VIDEO_PROCESSING_JOB } from "../jobs/videoProcessing.job.js";
+import { summarizeReactions } from "../services/reaction.service.js";
+import { VIDEO_PROCESSING_STATUS } from "../constants.js";
+import { streamFile } from "../utils/stream.js";
+import { canViewVideo, visibleVideosFilter } from "../utils/videoVisibility.js";
+import { escapeRegex } from "../utils/regex.js";
+import {
+  applyCursor,
+  cursorCondition,
+  cursorSort,
+  getPaginationParams,
+  paginate,
+} from "../utils/pagination.js";
 
 const getAllVideos = asyncHandler(async (req, res) => {
   // Extracting query parameters from the request
   const {
-    page = 1, // Default page number is 1 if not provided
-    limit = 10, // Default limit per page is 10
     query = "", // Default query is an empty string
     sortBy = "createdAt", // Default sorting field is "createdAt"
     sortType = "desc", // Default sorting order is descending
     userId, // User ID (optional, to filter videos by a specific user)
   } = req.query;
 
-  // Checking if the user is logged in
-  if (!req.user) {
-    throw new ApiError(401, "User needs to be logged in");
-  }
+  // `limit` (default 10) and `cursor` (from the previous page's `nextCursor`)
+  const { limit, cursor } = getPaginationParams(req.query, {
+    defaultLimit: 10,
+  });
+
+  // `sortBy` is whitelisted and `userId` checked by the route's validation schema (listVideosSchema)
+  const direction = sortType === "asc" ? 1 : -1;
 
   // Constructing the match object to filter videos
+  // This route is public: anonymous visitors only get published videos, owners also see their unpublished ones
   const match = {
-    ...(query ? { title: { $regex: query, $options: "i" } } : {}), // If query exists, match titles that contain the search term (case-insensitive)
-    ...(userId ? { owner: mongoose.Types.ObjectId(userId) } : {}), // If userId exists, filter videos by that owner
+    ...(query ? { title: { $regex: escapeRegex(query), $options: "i" } } : {}), // If query exists, match titles that contain the search term (case-insensitive, taken literally)
+    ...(userId ? { owner: new mongoose.Types.ObjectId(userId) } : {}), // If userId exists, filter videos by that owner
+    ...visibleVideosFilter(req.user?._id), // Hide unpublished videos and videos that are still being processed
   };
 
   const videos = await Video.aggregate([
     {
-      $match: match, // Filtering videos based on the match criteria
+      // Filtering videos based on the match criteria, starting right after the cursor (if any)
+      $match: applyCursor(match, cursor, sortBy, direction),
+    },
+
+    {
+      /*
+        $sort: Sorting videos based on the specified field
+        - If sortType is "desc", sort in descending order (-1)
+        - If sortType is "asc", sort in ascending order (1)
+        - `_id` breaks ties so the cursor always knows exactly where the page ended
+      */
+      $sort: cursorSort(sortBy, direction),
+    },
+
+    {
+      /*
+        $limit: Limits the number of results per page
+        - One extra video is fetched to know whether there is a next page
+        - Sorting and limiting before $lookup means we only join owners for this page
+      */
+      $limit: limit + 1,
     },
 
     {
@@ -38,12 +93,14 @@ const getAllVideos = asyncHandler(async (req, res) => {
         $lookup: Joins data from the "users" collection
         - Fetches user details based on the "owner" field in the videos collection
         - This allows us to include user information with each video
+        - Only the public profile: this route is open to anonymous visitors
       */
       $lookup: {
         from: "users", // Collection to join with
         localField: "owner", // Matching "owner" field in the videos collection
         foreignField: "_id", // Matching "_id" field in the users collection
         as: "videosByOwner", // The resulting user data will be stored under "videosByOwner"
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
       },
     },
 
@@ -54,56 +111,32 @@ const getAllVideos = asyncHandler(async (req, res) => {
       */
       $project: {
         videoFile: 1, // Video file link
+        masterPlaylist: 1, // HLS master playlist link (adaptive streaming)
         thumbnail: 1, // Thumbnail image link
         title: 1, // Video title
         description: 1, // Video description
         duration: 1, // Video duration
         views: 1, // Number of views
         isPublished: 1, // Whether the video is published or not
+        createdAt: 1, // Upload date (also the default cursor sort key)
         owner: {
           $arrayElemAt: ["$videosByOwner", 0], // Extracts the first user object from the array
         },
       },
     },
-
-    {
-      /*
-        $sort: Sorting videos based on the specified field
-        - If sortType is "desc", sort in descending order (-1)
-        - If sortType is "asc", sort in ascending order (1)
-      */
-      $sort: {
-        [sortBy]: sortType === "desc" ? -1 : 1,
-      },
-    },
-
-    {
-      /*
-        $skip: Skipping records for pagination
-        - Formula: (page number - 1) * limit
-        - If page = 2 and limit = 10, skips (2-1) * 10 = 10 records
-      */
-      $skip: (page - 1) * parseInt(limit),
-    },
-
-    {
-      /*
-        $limit: Limits the number of results per page
-        - Ensures that the number of results does not exceed the "limit" value
-      */
-      $limit: parseInt(limit),
-    },
   ]);
 
-  // If no videos are found, throw an error
-  if (!videos?.length) {
-    throw new ApiError(404, "Videos are not found");
-  }
-
   // Sending the response with a success message
+  // `{ items, nextCursor, hasMore }`: pass `nextCursor` as `?cursor=` to get the next page
   return res
     .status(200)
-    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        paginate(videos, limit, sortBy),
+        "Videos fetched successfully"
+      )
+    );
 
   /*
  Video Fetching Process Notes:
@@ -111,98 +144,401 @@ const getAllVideos = asyncHandler(async (req, res) => {
   👉 Why do we use $regex for query search?
      - $regex allows partial matching (e.g., searching "fun" will find "funny video").
      - $options: "i" makes it case-insensitive (e.g., "FUN" and "fun" are treated the same).
+     - `escapeRegex` makes characters like "+" or "(" match themselves, so a search for "c++"
+       neither fails nor turns into an expensive pattern.
 
   👉 What is $lookup and why do we need it?
      - $lookup helps us fetch user details related to each video.
      - Without this, we'd have to make multiple queries to get the same info!
 
-  👉 Why do we use pagination ($skip and $limit)?
-     - Instead of loading ALL videos at once (which would be slow), we fetch them in chunks.
-     - $skip skips already displayed videos, and $limit ensures we only fetch a limited number.
+  👉 Why do we use cursor pagination instead of $skip?
+     - $skip still walks over every skipped video, so deep pages get slower and slower.
+     - A cursor says "continue after this video", so every page costs the same.
+     - New uploads don't shift the pages, so the client never sees the same video twice.
 
   👉 What happens if there are no videos found?
-     - If the database has no videos matching the filters, we send a 404 error.
-     - This prevents sending an empty list without explanation.
+     - An empty page is a valid answer: `items` is empty and `hasMore` is false.
+*/
+});
+
+// Duration facet boundaries, in seconds (same split as most video platforms: under 4 min, 4-20 min, over 20 min)
+const SHORT_VIDEO_MAX_SECONDS = 4 * 60;
+const LONG_VIDEO_MIN_SECONDS = 20 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const searchVideos = asyncHandler(async (req, res) => {
+  /*
+    Extracting search parameters from the query string
+    - q: the search text, matched against the text index on title + description
+    - minDuration / maxDuration: duration range in seconds
+    - uploadedAfter / uploadedBefore: upload date range
+    - channel: a channel username or user ID
+    - minViews: only videos with at least this many views
+    - sortBy: "relevance" (default when searching), "date" or "views"
+    Types and ranges are already checked and coerced by `searchVideosSchema` (numbers, Dates).
+  */
+  const {
+    q = "",
+    minDuration: durationMin,
+    maxDuration: durationMax,
+    uploadedAfter: createdAfter,
+    uploadedBefore: createdBefore,
+    channel,
+    minViews: viewsMin,
+    sortBy,
+  } = req.query;
+
+  const searchText = q.trim();
+
+  // A cursor is only valid for the search (and sort) it came from
+  const { limit, cursor } = getPaginationParams(req.query, {
+    defaultLimit: 10,
+  });
+
+  // Relevance only makes sense when there is something to be relevant to
+  const sortMode = sortBy || (searchText ? "relevance" : "date");
+  if (sortMode === "relevance" && !searchText) {
+    throw new ApiError(400, "Sorting by relevance requires a search query");
+  }
+
+  /*
+    Resolve the channel filter
+    - Accept either the owner's ID or their username (what the channel URL shows).
+    - An unknown channel simply returns no results, like any other filter.
+  */
+  let channelId;
+  if (channel) {
+    const channelUser = isValidObjectId(channel)
+      ? await User.findById(channel).select("_id")
+      : await User.findOne({ username: channel.toLowerCase() }).select("_id");
+
+    channelId = channelUser?._id ?? new mongoose.Types.ObjectId(); // random ID = matches nothing
+  }
+
+  /*
+    Building the $match stage
+    - `$text` must be part of the first $match of the pipeline, so everything goes into a single stage.
+    - Visibility rules are the same as for `getAllVideos` (published + ready, or your own).
+  */
+  const match = {
+    ...(searchText ? { $text: { $search: searchText } } : {}),
+    ...visibleVideosFilter(req.user?._id),
+    ...(channelId ? { owner: channelId } : {}),
+    ...(durationMin !== undefined || durationMax !== undefined
+      ? {
+          duration: {
+            ...(durationMin !== undefined ? { $gte: durationMin } : {}),
+            ...(durationMax !== undefined ? { $lte: durationMax } : {}),
+          },
+        }
+      : {}),
+    ...(createdAfter || createdBefore
+      ? {
+          createdAt: {
+            ...(createdAfter ? { $gte: createdAfter } : {}),
+            ...(createdBefore ? { $lte: createdBefore } : {}),
+          },
+        }
+      : {}),
+    ...(viewsMin !== undefined ? { views: { $gte: viewsMin } } : {}),
+  };
+
+  // Every mode sorts descending, with `_id` as tie-breaker (see `cursorSort`)
+  const sortField = {
+    relevance: "score",
+    date: "createdAt",
+    views: "views",
+  }[sortMode];
+
+  const now = Date.now();
+
+  const [result] = await Video.aggregate([
+    { $match: match },
+
+    // Expose the text score so results can be sorted (and inspected) by relevance
+    ...(searchText ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+
+    {
+      /*
+        $facet: run several pipelines over the same matched videos in one round trip
+        - videos: the requested page of results (continuing after the cursor, if any)
+        - total: how many videos match in total
+        - duration / uploadDate / channels: counts shown next to each filter in the UI
+      */
+      $facet: {
+        videos: [
+          { $match: cursorCondition(cursor, sortField) },
+          { $sort: cursorSort(sortField) },
+          { $limit: limit + 1 },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          {
+            $project: {
+              videoFile: 1,
+              masterPlaylist: 1,
+              thumbnail: 1,
+              title: 1,
+              description: 1,
+              duration: 1,
+              views: 1,
+              isPublished: 1,
+              createdAt: 1,
+              score: 1,
+              owner: { $arrayElemAt: ["$owner", 0] },
+            },
+          },
+        ],
+
+        total: [{ $count: "count" }],
+
+        duration: [
+          {
+            $group: {
+              _id: null,
+              short: {
+                $sum: {
+                  $cond: [
+                    { $lt: ["$duration", SHORT_VIDEO_MAX_SECONDS] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              medium: {
+                $sum: {
+                  $cond: [
+                    {
+                      $and: [
+                        { $gte: ["$duration", SHORT_VIDEO_MAX_SECONDS] },
+                        { $lt: ["$duration", LONG_VIDEO_MIN_SECONDS] },
+                      ],
+                    },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              long: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$duration", LONG_VIDEO_MIN_SECONDS] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+        ],
+
+        // Cumulative, like the "upload date" filter on most platforms ("this week" includes today)
+        uploadDate: [
+          {
+            $group: {
+              _id: null,
+              today: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$createdAt", new Date(now - DAY_MS)] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              thisWeek: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$createdAt", new Date(now - 7 * DAY_MS)] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              thisMonth: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$createdAt", new Date(now - 30 * DAY_MS)] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              thisYear: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$createdAt", new Date(now - 365 * DAY_MS)] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+        ],
+
+        // Top channels among the matches
+        channels: [
+          { $group: { _id: "$owner", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 10 },
+          {
+            $lookup: {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              as: "channel",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              count: 1,
+              channel: { $arrayElemAt: ["$channel", 0] },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count ?? 0;
+  const { _id: _durationId, ...duration } = result.duration[0] ?? {
+    short: 0,
+    medium: 0,
+    long: 0,
+  };
+  const { _id: _uploadDateId, ...uploadDate } = result.uploadDate[0] ?? {
+    today: 0,
+    thisWeek: 0,
+    thisMonth: 0,
+    thisYear: 0,
+  };
+
+  // An empty search is a valid answer (not a 404), the facets still tell the client what to relax
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...paginate(result.videos, limit, sortField), // `{ items, nextCursor, hasMore }`
+        total,
+        sortBy: sortMode,
+        facets: {
+          duration,
+          uploadDate,
+          channels: result.channels,
+        },
+      },
+      "Search results fetched successfully"
+    )
+  );
+
+  /*
+ Video Search Notes:
+
+  👉 Why a text index instead of $regex?
+     - $regex with "i" can't use an index, so every search scans the whole collection.
+     - The text index tokenizes and stems words ("running" matches "run") and gives each match a score.
+     - Weights make a title match count more than a description match.
+
+  👉 Why $facet?
+     - The results page and all the filter counts come from the same matched set in one query.
 */
 });
 
 const publishAVideo = asyncHandler(async (req, res) => {
   // Extracting required fields from request body
-  const { title, description, owner } = req.body;
+  const { title, description } = req.body;
+
+  // A rejected upload is never processed, so its temp files are removed before answering
+  const rejectUpload = (message) => {
+    removeUploadedFiles(req);
+    return new ApiError(400, message);
+  };
 
   // Validate that the title is not empty
   if (!title) {
-    throw new ApiError(400, "Title should not be empty");
+    throw rejectUpload("Title should not be empty");
   }
   // Validate that the description is not empty
   if (!description) {
-    throw new ApiError(400, "Description should not be empty");
+    throw rejectUpload("Description should not be empty");
   }
 
   // Extract the video file path from the uploaded files
-  const videoFileLocalPath = req.files?.videoFile[0]?.path;
+  const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
   if (!videoFileLocalPath) {
-    throw new ApiError(400, "Video file is required");
+    throw rejectUpload("Video file is required");
   }
 
   // Extract the thumbnail file path from the uploaded files
-  const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
   if (!thumbnailLocalPath) {
-    throw new ApiError(400, "Thumbnail is required");
+    throw rejectUpload("Thumbnail is required");
   }
 
-  try {
-    // Get the duration of the video file before uploading
-    const duration = await getVideoDuration(videoFileLocalPath);
-
-    // Upload the video file to Cloudinary and get the URL
-    const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-    if (!videoFile) {
-      throw new ApiError(400, "Cloudinary Error: Video file is required");
-    }
-
-    // Upload the thumbnail image to Cloudinary and get the URL
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-    if (!thumbnail) {
-      throw new ApiError(400, "Cloudinary Error: Thumbnail is required");
-    }
-
-    // Store video details in the database
-    const videoDoc = await Video.create({
-      videoFile: videoFile.url, // Cloudinary URL of the video file
-      thumbnail: thumbnail.url, // Cloudinary URL of the thumbnail
-      title,
-      description,
-      owner: req.user?._id, // ID of the user who uploaded the video
-      duration, // Duration of the video (in seconds)
-    });
+  /*
+    Store the video right away with status "queued".
+    - The heavy work (ffprobe, HLS transcoding, storage uploads) happens in a background job.
+    - The client polls `GET /videos/:videoId/status` to know when the video is ready.
+  */
+  const videoDoc = await Video.create({
+    title,
+    description,
+    owner: req.user?._id, // ID of the user who uploaded the video
+    processingStatus: VIDEO_PROCESSING_STATUS.QUEUED,
+  });
+
+  // If video creation fails, throw an error
+  if (!videoDoc) {
+    throw new ApiError(500, "Something went wrong while publishing a video");
+  }
 
-    console.log(` Title: ${title}, Owner: ${owner}, duration: ${duration}`);
+  // Hand the uploaded temp files over to the job queue
+  await enqueueJob(VIDEO_PROCESSING_JOB, {
+    videoId: videoDoc._id.toString(),
+    videoFileLocalPath,
+    thumbnailLocalPath,
+  });
 
-    // If video creation fails, throw an error
-    if (!videoDoc) {
-      throw new ApiError(500, "Something went wrong while publishing a video");
-    }
-
-    // Send a success response with the video details
-    return res
-      .status(201)
-      .json(new ApiResponse(201, videoDoc, "Video published Successfully"));
-  } catch (error) {
-    // Handle errors and send a 500 response if something goes wrong
-    throw new ApiError(500, error);
-  }
+  // 202 Accepted: the request is valid, but the video is still being processed
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        videoDoc,
+        "Video uploaded successfully and queued for processing"
+      )
+    );
 
   /*
  Video Publishing Notes:
 
-👉 Why do we upload the video and thumbnail to Cloudinary?
-   - Storing large video files on the server isn't scalable.
-   - Cloudinary provides a CDN, making videos load faster.
+👉 Why do we upload the video and thumbnail to a storage provider?
+   - Storing large video files on the API server isn't scalable.
+   - Providers like Cloudinary or S3 (+ CDN) make videos load faster.
+   - STORAGE_DRIVER picks the provider, "local" keeps everything on disk for offline development.
 
 👉 Why store the duration in the database?
    - Duration helps in displaying video length without reprocessing the file.
    - It improves user experience and optimizes video streaming.
+
+👉 Why do we respond with 202 instead of 201?
+   - The video document exists, but it cannot be watched until the background job finishes.
+   - 202 Accepted tells the client "got it, still working on it".
+
+👉 Why do we transcode to HLS?
+   - Serving only the original file forces every viewer to download the full-quality upload.
+   - With HLS renditions, the player picks 240p/480p/720p based on the viewer's bandwidth.
+   - `videoFile` (the original) is still kept for downloads and as a fallback.
 */
 });
 
@@ -218,32 +554,247 @@ const getVideoById = asyncHandler(async (req, res) => {
   /* 
      Query the database to find the video by its ID.
     - The `findById` method is used to retrieve a specific document using its _id.
-    - `populate("owner", "name email")` fetches additional details about the video's owner.
-      - Instead of just storing the owner's ID, this will return their name and email too.
+    - Storage keys and processing errors are internal, `select` leaves them out of the response.
+    - `populate("owner", "username fullName avatar")` fetches additional details about the video's owner.
+      - Instead of just storing the owner's ID, this will return their public profile too.
+      - Never the email: this route is public, anonymous visitors must not see the uploader's private details.
       - This is helpful for frontend applications that want to display the owner's info.
   */
-  const video = await Video.findById(videoId).populate("owner", "name email");
+  const video = await Video.findById(videoId)
+    .select("-videoFileKey -thumbnailKey -processingError")
+    .populate("owner", "username fullName avatar");
 
   // If the video does not exist, return a 404 error.
-  if (!video) {
+  // Unpublished (or still processing) videos are reported as missing to everyone but their owner.
+  if (!canViewVideo(video, req.user?._id)) {
     throw new ApiError(404, "Video not found");
   }
 
+  // Logged-in viewers get their saved position back so the player can resume where they stopped
+  const progress = req.user
+    ? await WatchProgress.findOne({ user: req.user._id, video: video._id })
+        .select("position percent completed lastWatchedAt -_id")
+        .lean()
+    : null;
+
+  // Like/dislike counts, and which one the viewer picked (if any) to highlight the button
+  const summaries = await summarizeReactions(
+    "video",
+    [video._id],
+    req.user?._id
+  );
+  const { reactions, myReaction } = summaries.get(video._id.toString());
+
   // Send a success response with the video details.
-  return res
-    .status(200)
-    .json(new ApiResponse(200, video, "Video fetched successfully"));
+  // `masterPlaylist` (HLS) is returned alongside `videoFile` so players can stream adaptively.
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...video.toObject(),
+        masterPlaylist: video.masterPlaylist || null,
+        progress,
+        reactions,
+        myReaction,
+      },
+      "Video fetched successfully"
+    )
+  );
 
   /*
  Video Retrieval Notes:
 
-👉 What does `.populate("owner", "name email")` do?
+👉 What does `.populate("owner", "username fullName avatar")` do?
    - By default, the `owner` field in the video document only contains the owner's `_id`.
-   - `populate()` replaces this ID with an actual object containing the owner's `name` and `email`.
+   - `populate()` replaces this ID with an actual object containing the owner's `username`, `fullName` and `avatar`.
+   - Only public profile fields are selected, the same ones every other list returns for an owner.
    - This reduces extra API calls from the frontend to fetch user details separately.
 */
 });
 
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  // Only the fields needed to follow the background processing
+  const video = await Video.findById(videoId).select(
+    "processingStatus processingError owner"
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Processing errors can contain internal details, only the uploader gets to see them
+  const isOwner = video.owner?.toString() === req.user?._id.toString();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videoId: video._id,
+        processingStatus: video.processingStatus,
+        processingError: isOwner ? video.processingError || null : null,
+      },
+      "Video processing status fetched successfully"
+    )
+  );
+});
+
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "videoFile videoFileKey isPublished processingStatus owner"
+  );
+
+  /*
+    Same rule as `getVideoById`: unpublished videos and videos that are still being processed
+    can only be streamed by their owner, everyone else gets a 404.
+  */
+  if (!canViewVideo(video, req.user?._id)) {
+    throw new ApiError(404, "Video not found");
+  }
+  const isPublic = canViewVideo(video);
+
+  if (!video.videoFile) {
+    throw new ApiError(404, "Video file is not available for streaming");
+  }
+
+  const storage = getStorage();
+
+  /*
+    Remote storage (Cloudinary, S3) already supports Range requests,
+    so we just redirect to a short-lived signed URL for the file.
+    - Videos uploaded before the streaming endpoint have no key, they redirect to their URL.
+  */
+  if (!video.videoFileKey || !storage.resolvePath) {
+    const url = video.videoFileKey
+      ? await getSignedFileUrl(video.videoFileKey, { expiresIn: 3600 })
+      : video.videoFile;
+    return res.redirect(302, url);
+  }
+
+  /*
+    Locally stored files are served by us:
+    `streamFile` handles Range / 206, ETag, Last-Modified and If-None-Match.
+    - Public videos can be cached by shared caches, the others only by the owner's browser.
+  */
+  try {
+    await streamFile(req, res, storage.resolvePath(video.videoFileKey), {
+      cacheControl: isPublic
+        ? "public, max-age=0, must-revalidate"
+        : "private, no-cache",
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ApiError(404, "Video file is not available for streaming");
+    }
+    throw error;
+  }
+});
+
+const recordVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  // `position` is where the player currently is, in seconds (validated by `recordViewSchema`, default 0)
+  const { position: watchPosition } = req.body;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner isPublished processingStatus duration"
+  );
+
+  if (!canViewVideo(video, req.user?._id)) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  /*
+    The player calls this when playback starts (and may call it again to save the position).
+    - A view is only counted once per viewer (user or IP) per dedupe window.
+    - Logged-in viewers also get their watch progress saved (which moves the video to the top of their history).
+  */
+  const view = await recordView({
+    videoId: video._id,
+    viewerKey: getViewerKey(req),
+    userId: req.user?._id,
+    position: video.duration
+      ? Math.min(watchPosition, video.duration)
+      : watchPosition,
+    duration: video.duration,
+    recordHistory: !req.user?.historyPaused,
+  });
+
+  const { views } = await Video.findById(videoId).select("views").lean();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...view, views },
+        view.counted ? "View recorded successfully" : "View already counted"
+      )
+    );
+});
+
+const updateWatchProgress = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  // `position` is required here: saving progress is the whole point of this endpoint (see `watchProgressSchema`)
+  const { position: watchPosition } = req.body;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner isPublished processingStatus duration"
+  );
+
+  if (!canViewVideo(video, req.user._id)) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  /*
+    The player calls this periodically (e.g. every few seconds and on pause) while someone watches.
+    - Unlike `POST /:videoId/view`, this never counts a view, it only saves where the user is.
+    - Paused history means nothing is stored about what the user watches, including the position.
+  */
+  if (req.user.historyPaused) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          null,
+          "Watch history is paused, progress not saved"
+        )
+      );
+  }
+
+  const progress = await saveWatchProgress({
+    userId: req.user._id,
+    videoId: video._id,
+    position: video.duration
+      ? Math.min(watchPosition, video.duration)
+      : watchPosition,
+    duration: video.duration,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, progress, "Watch progress saved successfully"));
+});
+
 const updateVideo = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters
   const { videoId } = req.params;
@@ -251,10 +802,11 @@ const updateVideo = asyncHandler(async (req, res) => {
   // Extract title and description from request body
   const { title, description } = req.body;
 
-  // Validate if the provided videoId is a valid MongoDB ObjectId
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid video ID");
-  }
+  /*
+    Loaded by `requireOwnership` (which already answered 400 / 404 / 403).
+    - We keep it to delete the current thumbnail from storage once it has been replaced.
+  */
+  const previousVideo = req.resource;
 
   // Create an object to hold updateData for updating title, description and thumbnail(thumbnail will be appended later)
   let updateData = { title, description };
@@ -263,7 +815,7 @@ const updateVideo = asyncHandler(async (req, res) => {
     If a new thumbnail is uploaded:
     - Extract the file path from request.
     - Ensure the file path is valid.
-    - Upload the file to Cloudinary.
+    - Upload the file through the storage layer.
     - If the upload is successful, update the thumbnail URL.
   */
   if (req.file) {
@@ -273,15 +825,19 @@ const updateVideo = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Thumbnail file is missing");
     }
 
-    // Upload the thumbnail to Cloudinary
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    // Upload the thumbnail to the configured storage
+    const thumbnail = await uploadFile(thumbnailLocalPath, {
+      folder: "thumbnails",
+      resourceType: "image",
+    });
 
-    if (!thumbnail.url) {
+    if (!thumbnail?.url) {
       throw new ApiError(400, "Error while uploading thumbnail");
     }
 
-    // Add the new thumbnail URL to the updateData
+    // Add the new thumbnail URL (and its storage key) to the updateData
     updateData.thumbnail = thumbnail.url;
+    updateData.thumbnailKey = thumbnail.key;
   }
 
   /*
@@ -303,6 +859,13 @@ const updateVideo = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Video not found");
   }
 
+  // The new thumbnail is saved, now the old one is an orphan and can go
+  if (updateData.thumbnail && previousVideo.thumbnail) {
+    await deleteFilesQuietly([
+      previousVideo.thumbnailKey || keyFromUrl(previousVideo.thumbnail),
+    ]);
+  }
+
   // Send a success response with the updated video details.
   return res
     .status(200)
@@ -316,11 +879,15 @@ const updateVideo = asyncHandler(async (req, res) => {
    - `findByIdAndUpdate` allows us to update only specific fields, reducing unnecessary data writes.
    - `save()` is useful when we want to modify and validate an entire document.
 
+👉 Why do we delete the old thumbnail only after the update?
+   - If the upload or the update fails, the video still points to a thumbnail that exists.
+   - Deleting first could leave the video with a broken image.
+
 👉 Why do we check for `req.file` before updating the thumbnail?
    - Not all updates require a new thumbnail, so we update it only if a new file is provided.
    - This prevents unnecessary file uploads and saves storage space.
 
-👉 What happens if Cloudinary upload fails?
+👉 What happens if the thumbnail upload fails?
    - The function throws an error before making any database changes, ensuring data integrity.
    - This prevents storing an invalid or missing thumbnail URL in the database.
 
@@ -332,39 +899,52 @@ const updateVideo = asyncHandler(async (req, res) => {
 });
 
 const deleteVideo = asyncHandler(async (req, res) => {
-  // Extract the videoId from the request parameters
-  const { videoId } = req.params;
-
-  // Validate if the provided videoId is a valid MongoDB ObjectId
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid video ID");
-  }
+  // Loaded by `requireOwnership`, we need its details for the response and to clean up its files
+  const deletedVideo = req.resource;
 
   /*
-        Delete the video from the database.
-    - `findByIdAndDelete(videoId)`: Finds a video by its ID and removes it.
-    - If the video does not exist, `deletedVideo` will be null.
+    Delete the video together with everything that references it:
+    likes, comments (and their likes), playlist entries and watch history.
+    - Runs in a transaction so we never end up with half of the cleanup done.
   */
-  const deletedVideo = await Video.findByIdAndDelete(videoId);
+  const removed = await runInTransaction((session) =>
+    deleteVideoCascade(deletedVideo._id, session)
+  );
 
-  // If no video was found to delete, return a 404 error.
-  if (!deletedVideo) {
-    throw new ApiError(404, "Video not found");
-  }
+  /*
+    Remove the video's files from storage: original, thumbnail and every HLS rendition.
+    - Older videos have no stored keys, so we fall back to deriving them from the URLs.
+  */
+  await deleteFilesQuietly(
+    [
+      deletedVideo.videoFileKey || keyFromUrl(deletedVideo.videoFile),
+      deletedVideo.thumbnailKey || keyFromUrl(deletedVideo.thumbnail),
+    ],
+    [getHlsFolder(deletedVideo._id)]
+  );
 
-  // Send a success response with the deleted video details.
+  // Send a success response with the deleted video details and what was removed with it.
   return res
     .status(200)
-    .json(new ApiResponse(200, deletedVideo, "Video deleted successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { video: deletedVideo, removed },
+        "Video deleted successfully"
+      )
+    );
 
   /* 
 
   Video Deletion Notes:
 
-👉 What happens when `findByIdAndDelete(videoId)` is called?
-   - The function searches for a document with the given ID.
-   - If found, it deletes the document and returns its details.
-   - If not found, it returns `null`, triggering a 404 error.
+👉 Why don't we just call `findByIdAndDelete(videoId)`?
+   - That removes only the video, its likes, comments and playlist entries would keep pointing at nothing.
+   - `deleteVideoCascade` removes all of them and returns how many of each were deleted (`removed`).
+
+👉 Why do we also delete the files from storage?
+   - Without it every deleted video leaves its original, thumbnail and HLS segments behind,
+     and we keep paying for storage nobody can reach anymore.
 
 👉 Why do we return the deleted video details?
    - Helps confirm what was deleted.
@@ -381,26 +961,11 @@ const deleteVideo = asyncHandler(async (req, res) => {
 
 const togglePublishStatus = asyncHandler(async (req, res) => {
   /*
-    Extract the videoId from the request parameters.
-    - This is the ID of the video whose publish status we want to toggle.
-  */
-  const { videoId } = req.params;
-
-  // Validate if the provided videoId is a valid MongoDB ObjectId.
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid video ID");
-  }
-
-  /*
-    Find the video by its ID.
-    - `findById(videoId)`: Fetches the video document if it exists.
-    - If the video is not found, we throw a 404 error.
+    The video whose publish status we want to toggle.
+    - Loaded by `requireOwnership`, which already answered 400 / 404 / 403,
+      so there is no need to look it up again.
   */
-  const video = await Video.findById(videoId);
-
-  if (!video) {
-    throw new ApiError(404, "Video not found");
-  }
+  const video = req.resource;
 
   /*
     Toggle the `isPublished` status of the video.
@@ -426,10 +991,10 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 
  Toggling Publish Status Notes:
 
-👉 What happens when `findById(videoId)` is called?
-   - The function searches the database for a document with the given ID.
-   - If found, it returns the video document.
-   - If not found, we throw a `404` error to indicate the video doesn't exist.
+👉 Where does `req.resource` come from?
+   - `requireOwnership(Video, "videoId")` runs before this controller (see video.routes.js).
+   - It looks the video up, answers `404` if it doesn't exist and `403` if someone else owns it,
+     then hands the document over, so the controller works with that same document.
 
 👉 How does toggling `isPublished` work?
    - `video.isPublished = !video.isPublished;`
@@ -453,8 +1018,13 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 
 export {
   getAllVideos,
+  searchVideos,
   publishAVideo,
   getVideoById,
+  getVideoProcessingStatus,
+  streamVideo,
+  recordVideoView,
+  updateWatchProgress,
   updateVideo,
   deleteVideo,
   togglePublishStatus,
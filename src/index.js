@@ -2,6 +2,7 @@
 import dotenv from "dotenv"
 import connectDB from "./db/index.js";
 import {app} from './app.js'
+import { startJobWorker } from "./jobs/index.js";
 dotenv.config({
     path: './.env'
 })
@@ -13,6 +14,11 @@ connectDB()
     app.listen(process.env.PORT || 8000, () => {
         console.log(`⚙️ Server is running at port : ${process.env.PORT}`);
     })
+
+    // Process background jobs in this process too, unless a separate worker (`npm run worker`) is used
+    if (process.env.RUN_JOB_WORKER !== "false") {
+        startJobWorker()
+    }
 })
 .catch((err) => {
     console.log("MONGO db connection failed !!! ", err);
@@ -0,0 +1,19 @@
+import { registerJobHandler, startWorker } from "./queue.js";
+import {
+  VIDEO_PROCESSING_JOB,
+  processVideo,
+  onVideoProcessingDead,
+  onVideoProcessingRetry,
+} from "./videoProcessing.job.js";
+
+// Registers every job handler and starts the worker loop(s)
+export const startJobWorker = () => {
+  registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, {
+    onDead: onVideoProcessingDead,
+    onRetry: onVideoProcessingRetry,
+  });
+
+  return startWorker({
+    concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1,
+  });
+};
@@ -0,0 +1,171 @@
+import os from "os";
+import { Job } from "../models/job.model.js";
+import {
+  JOB_BACKOFF_BASE_MS,
+  JOB_LOCK_TIMEOUT_MS,
+  JOB_POLL_INTERVAL_MS,
+} from "../constants.js";
+
+/*
+  A small MongoDB-backed job queue.
+  - `enqueueJob()` inserts a "pending" job into the `jobs` collection.
+  - `startWorker()` polls the collection, atomically claims one job at a time and runs its handler.
+  - Failed jobs are retried with exponential backoff; after `maxAttempts` they become "dead".
+*/
+
+const handlers = {};
+
+// Registers the function that processes jobs of `type`
+// `onDead(payload, job, error)` is optional and runs once when a job is moved to the dead-letter state
+// `onRetry(payload, job, error)` is optional and runs every time a failed job is scheduled for another attempt
+export const registerJobHandler = (type, handle, { onDead, onRetry } = {}) => {
+  handlers[type] = { handle, onDead, onRetry };
+};
+
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  return await Job.create({
+    type,
+    payload,
+    ...options, // e.g. { maxAttempts, runAt }
+  });
+};
+
+// Claims the next runnable job (or an abandoned one) so no other worker can take it
+const claimNextJob = async (workerId) => {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        {
+          status: "processing",
+          lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const { handle, onDead, onRetry } = handlers[job.type];
+
+  try {
+    await handle(job.payload, job);
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    job.lastError = undefined;
+    await job.save();
+  } catch (error) {
+    const message = error?.message || String(error);
+    console.log(`Job ${job._id} (${job.type}) failed: ${message}`);
+
+    job.lastError = message;
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+
+    if (job.attempts >= job.maxAttempts) {
+      // Dead-letter: keep the document for inspection, but never run it again
+      job.status = "dead";
+      await job.save();
+
+      if (onDead) {
+        await Promise.resolve(onDead(job.payload, job, error)).catch((err) =>
+          console.log(`onDead handler for job ${job._id} failed: `, err)
+        );
+      }
+      return;
+    }
+
+    // Before the job is released, so a worker picking it up can't run before the handler
+    if (onRetry) {
+      await Promise.resolve(onRetry(job.payload, job, error)).catch((err) =>
+        console.log(`onRetry handler for job ${job._id} failed: `, err)
+      );
+    }
+
+    // Retry later: 30s, 60s, 120s, ...
+    job.status = "pending";
+    job.runAt = new Date(
+      Date.now() + JOB_BACKOFF_BASE_MS * 2 ** (job.attempts - 1)
+    );
+    await job.save();
+  }
+};
+
+/*
+  Starts a worker loop.
+  - `concurrency` loops run side by side, each processing one job at a time.
+  - Returns a `stop()` function that lets the current jobs finish and ends the loops.
+*/
+export const startWorker = ({
+  concurrency = 1,
+  pollInterval = JOB_POLL_INTERVAL_MS,
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let stopped = false;
+  const sleepers = new Set(); // resolve functions of loops that are currently idle
+
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        sleepers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      sleepers.add(wake);
+    });
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        const job = await claimNextJob(workerId);
+
+        if (!job) {
+          await sleep(pollInterval); // Nothing to do, check again later
+          continue;
+        }
+
+        await runJob(job);
+      } catch (error) {
+        console.log("Job worker error: ", error);
+        await sleep(pollInterval);
+      }
+    }
+  };
+
+  const loops = Array.from({ length: concurrency }, () => loop());
+  console.log(
+    `⚙️ Job worker ${workerId} started (concurrency: ${concurrency})`
+  );
+
+  return async () => {
+    stopped = true;
+    sleepers.forEach((wake) => wake());
+    await Promise.all(loops);
+  };
+};
+
+/*
+👉 Why use `findOneAndUpdate()` to claim a job?
+   - It finds and updates the job in one atomic operation.
+   - Two workers can never claim the same job, even when they poll at the same moment.
+
+👉 Why retry with exponential backoff?
+   - Most failures (network blips, provider rate limits) go away on their own.
+   - Waiting longer after every failure avoids hammering a service that is already struggling.
+
+👉 What is the "dead" (dead-letter) state?
+   - A job that failed `maxAttempts` times is parked instead of deleted.
+   - It keeps its payload and `lastError`, so it can be inspected or re-queued manually.
+*/
@@ -0,0 +1,134 @@
+import fs from "fs";
+import { Video } from "../models/video.model.js";
+import { getStorage, uploadFile } from "../storage/index.js";
+import { getVideoDuration } from "../utils/ffmpeg.js";
+import { createHlsPackage } from "../utils/hls.js";
+import { videoStreamUrl } from "../utils/stream.js";
+import { VIDEO_PROCESSING_STATUS } from "../constants.js";
+
+export const VIDEO_PROCESSING_JOB = "video:process";
+
+const removeTempFile = (localFilePath) => {
+  if (localFilePath && fs.existsSync(localFilePath)) {
+    fs.unlinkSync(localFilePath);
+  }
+};
+
+/*
+  Processes an uploaded video in the background:
+  probe duration -> HLS transcode -> upload original -> upload thumbnail -> mark "ready".
+
+  Every step stores its result on the video before moving on, so when a job is retried
+  the steps that already succeeded are skipped instead of being done twice.
+*/
+export const processVideo = async ({
+  videoId,
+  videoFileLocalPath,
+  thumbnailLocalPath,
+}) => {
+  const video = await Video.findById(videoId);
+
+  // The video was deleted while it was waiting in the queue, nothing left to do
+  if (!video) {
+    removeTempFile(videoFileLocalPath);
+    removeTempFile(thumbnailLocalPath);
+    return;
+  }
+
+  video.processingStatus = VIDEO_PROCESSING_STATUS.PROCESSING;
+  await video.save();
+
+  if (!video.videoFile && !fs.existsSync(videoFileLocalPath)) {
+    throw new Error("Uploaded video file is missing on disk");
+  }
+
+  if (!video.duration && !video.videoFile) {
+    video.duration = await getVideoDuration(videoFileLocalPath);
+    await video.save();
+  }
+
+  // HLS must be created before the original is uploaded (uploading removes the local file)
+  if (!video.masterPlaylist && !video.videoFile) {
+    const hls = await createHlsPackage(videoFileLocalPath, video._id);
+    video.masterPlaylist = hls.masterPlaylistUrl;
+    video.renditions = hls.renditions;
+    await video.save();
+  }
+
+  if (!video.videoFile) {
+    const videoFile = await uploadFile(
+      videoFileLocalPath,
+      { folder: "videos", resourceType: "video" },
+      { keepLocalFileOnError: true }
+    );
+    if (!videoFile) {
+      throw new Error("Storage Error: Video file upload failed");
+    }
+    /*
+      Locally stored originals are private: `/media/videos/...` only works with a signed URL,
+      so clients get the stream endpoint instead (it checks who is watching, then serves the file).
+    */
+    video.videoFile =
+      getStorage().name === "local" ? videoStreamUrl(video._id) : videoFile.url;
+    video.videoFileKey = videoFile.key;
+    await video.save();
+  }
+
+  if (!video.thumbnail) {
+    const thumbnail = await uploadFile(
+      thumbnailLocalPath,
+      { folder: "thumbnails", resourceType: "image" },
+      { keepLocalFileOnError: true }
+    );
+    if (!thumbnail) {
+      throw new Error("Storage Error: Thumbnail upload failed");
+    }
+    video.thumbnail = thumbnail.url;
+    video.thumbnailKey = thumbnail.key;
+  }
+
+  video.processingStatus = VIDEO_PROCESSING_STATUS.READY;
+  video.processingError = undefined;
+  await video.save();
+};
+
+/*
+  Runs when an attempt failed and the job will be tried again later.
+  - The video goes back to "queued" so clients polling the status don't see "processing" for the whole backoff.
+  - `processingError` tells them why the last attempt failed.
+*/
+export const onVideoProcessingRetry = async ({ videoId }, job) => {
+  await Video.findByIdAndUpdate(videoId, {
+    $set: {
+      processingStatus: VIDEO_PROCESSING_STATUS.QUEUED,
+      processingError: job.lastError,
+    },
+  });
+};
+
+// Runs once the job has used up all of its attempts
+export const onVideoProcessingDead = async (
+  { videoId, videoFileLocalPath, thumbnailLocalPath },
+  job
+) => {
+  await Video.findByIdAndUpdate(videoId, {
+    $set: {
+      processingStatus: VIDEO_PROCESSING_STATUS.FAILED,
+      processingError: job.lastError,
+    },
+  });
+
+  removeTempFile(videoFileLocalPath);
+  removeTempFile(thumbnailLocalPath);
+};
+
+/*
+👉 Why is this a background job instead of running inside `publishAVideo`?
+   - ffprobe, transcoding and uploads can take minutes for large videos, longer than an HTTP request should live.
+   - If something fails, the job is retried automatically instead of the upload being lost.
+
+👉 Where does the worker read the upload from?
+   - `videoFileLocalPath` / `thumbnailLocalPath` are multer's temp files in `public/temp` on the web server's disk.
+   - So `npm run worker` only works on the same machine as the API (or with `public/temp` on a shared volume).
+     A worker on another host would fail every attempt with "Uploaded video file is missing on disk".
+*/
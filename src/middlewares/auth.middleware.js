@@ -3,6 +3,11 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
 
+// The access token can come from the `accessToken` cookie or an `Authorization: Bearer <token>` header
+const getAccessToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer ", "");
+
 /*
   
   What is this middleware doing?
@@ -19,9 +24,7 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
       - If it's not in cookies, we check the `Authorization` header.
       - If it's in the header, we remove the "Bearer " part to get the actual token.
     */
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+    const token = getAccessToken(req);
 
     if (!token) {
       throw new ApiError(401, "Unauthorized request - No token found");
@@ -50,6 +53,11 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
       throw new ApiError(401, "Invalid Access Token - User not found");
     }
 
+    // Banned accounts keep their data but can't use the API anymore
+    if (user.isBanned) {
+      throw new ApiError(403, "Your account has been banned");
+    }
+
     /*
        Step 4: Attach User to `req.user` and Pass Control 
       
@@ -68,11 +76,65 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
   } catch (error) {
     /*     
       - If anything goes wrong (invalid token, expired token, user not found), we throw an `ApiError`.
+      - Errors that are already an `ApiError` (like the 403 for banned users) keep their status code.
     */
+    if (error instanceof ApiError) throw error;
     throw new ApiError(401, error?.message || "Invalid access token");
   }
 });
 
+/*
+  Optional authentication - for routes that anonymous visitors can use too (browsing videos, channels...)
+  - If a valid token is present, `req.user` is attached exactly like `verifyJWT` does.
+  - If there is no token, or it is invalid/expired, or the account is banned,
+    the request simply continues as anonymous (`req.user` stays undefined).
+  - Controllers use `req.user?._id` to personalize the response (e.g. show your own unpublished videos).
+*/
+export const optionalAuth = asyncHandler(async (req, _, next) => {
+  const token = getAccessToken(req);
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const user = await User.findById(decodedToken?._id).select(
+      "-password -refreshToken"
+    );
+
+    if (user && !user.isBanned) {
+      req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired token: treat the visitor as anonymous instead of failing a public page
+  }
+
+  next();
+});
+
+/*
+  Role-based access control - use it after `verifyJWT`:
+    router.route("/users").get(verifyJWT, authorize("admin"), listUsers)
+  - Lets the request through only if `req.user.role` is one of the given roles.
+  - Otherwise it throws a 403 (the user is logged in, but not allowed to do this).
+*/
+export const authorize = (...roles) =>
+  asyncHandler(async (req, _, next) => {
+    if (!req.user) {
+      throw new ApiError(401, "Unauthorized request");
+    }
+
+    if (!roles.includes(req.user.role)) {
+      throw new ApiError(
+        403,
+        "You do not have permission to perform this action"
+      );
+    }
+
+    next();
+  });
+
 /*
    auth Middleware - Notes: 
   
@@ -92,6 +154,10 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
      - `jwt.verify()` will automatically throw an error if the token is expired.
      - The error message will be passed to `ApiError`, making debugging easier.
   
+  👉 Why 401 in `verifyJWT` but 403 in `authorize`?
+     - 401 means "we don't know who you are" (no/invalid token).
+     - 403 means "we know who you are, but you're not allowed" (wrong role or banned).
+
   👉 Why use `asyncHandler()`?
      - It helps handle asynchronous errors inside Express middleware without needing multiple try-catch blocks.
   
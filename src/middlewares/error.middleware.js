@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { DUPLICATE_KEY } from "../constants.js";
+
+/*
+  Turns any thrown error into an `ApiError`, so every failure has the same JSON shape.
+  - `ApiError`s are kept as they are
+  - Known library errors become the 4xx they really are (bad ID, invalid document, expired token...)
+  - Anything else is an unexpected bug: 500
+*/
+const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // e.g. `Video.findById("abc")`: "abc" can't be cast to an ObjectId
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [],
+      err.stack
+    );
+  }
+
+  // Schema validation failed (`required`, `enum`, `min`...), one entry per invalid path
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // e.g. two users registering the same username at the same time
+  if (err?.code === DUPLICATE_KEY) {
+    const errors = Object.keys(err.keyValue || {}).map((field) => ({
+      field,
+      message: `${field} already exists`,
+    }));
+    return new ApiError(409, "Duplicate value", errors, err.stack);
+  }
+
+  // `TokenExpiredError` extends `JsonWebTokenError`, so it has to be checked first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  // e.g. file too large, unexpected file field
+  if (err instanceof multer.MulterError) {
+    return new ApiError(
+      400,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack
+    );
+  }
+
+  // Errors from Express/body-parser carry their own 4xx status (malformed JSON, body too large...)
+  const status = err?.status || err?.statusCode;
+  if (status >= 400 && status < 500) {
+    return new ApiError(status, err.message, [], err.stack);
+  }
+
+  return new ApiError(500, "Internal Server Error", [], err?.stack);
+};
+
+/*
+  404 for every request that no route matched.
+  - Registered after all the routers in `app.js`, so it only runs when nothing else answered.
+*/
+export const notFound = (req, _, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/*
+  Global error handler - the last middleware in `app.js`.
+  - Express recognizes error handlers by their 4 arguments, so `next` must stay in the signature.
+  - Everything passed to `next(err)` (which `asyncHandler` does for us) ends up here.
+  - Response shape: { statusCode, data: null, message, success: false, errors }
+  - Stack traces are only sent outside production; 500s are logged on the server instead.
+*/
+export const errorHandler = (err, req, res, next) => {
+  // The response already started (e.g. a video stream broke mid-way): let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toApiError(err);
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (error.statusCode >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: null,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    ...(isProduction ? {} : { stack: error.stack }),
+  });
+};
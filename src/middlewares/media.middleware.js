@@ -0,0 +1,38 @@
+import { getStorage } from "../storage/index.js";
+import { ApiError } from "../utils/ApiError.js";
+import { streamFile } from "../utils/stream.js";
+
+/*
+  Serves files stored by the "local" storage driver under `/media/<key>`.
+  - Only active when STORAGE_DRIVER=local, otherwise the request falls through.
+  - Original videos ("videos/...") are private: they need a signed URL (see `getSignedUrl`),
+    so unpublished videos can't be downloaded by guessing their path.
+    Their `videoFile` is the stream endpoint (`GET /api/v1/videos/:videoId/stream`), never a `/media` URL.
+  - Everything else (thumbnails, avatars, HLS files) is public, just like Cloudinary delivery URLs.
+*/
+export const serveLocalMedia = (req, res, next) => {
+  const storage = getStorage();
+  if (storage.name !== "local") return next();
+
+  const key = decodeURIComponent(req.path.replace(/^\//, ""));
+
+  if (
+    key.startsWith("videos/") &&
+    !storage.verifySignature(key, req.query.expires, req.query.signature)
+  ) {
+    return next(new ApiError(403, "Invalid or expired media signature"));
+  }
+
+  let filePath;
+  try {
+    filePath = storage.resolvePath(key);
+  } catch (error) {
+    return next(new ApiError(400, "Invalid media path"));
+  }
+
+  streamFile(req, res, filePath, {
+    cacheControl: "public, max-age=86400",
+  }).catch((error) =>
+    next(error.code === "ENOENT" ? new ApiError(404, "File not found") : error)
+  );
+};
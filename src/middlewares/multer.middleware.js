@@ -1,3 +1,4 @@
+import fs from "fs";
 import multer from "multer";
 
 /*
@@ -18,10 +19,13 @@ const storage = multer.diskStorage({
   /*
         `filename`: How to name the uploaded file
       - This function generates the filename for the uploaded file.
-      - `file.originalname` keeps the original file name instead of renaming it.
+      - `file.originalname` keeps the original file name recognizable.
+      - A timestamp + random prefix keeps two uploads named "video.mp4" from overwriting each other
+        (files can now wait in the job queue for a while before they are processed).
     */
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    const uniquePrefix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${uniquePrefix}-${file.originalname}`);
   },
 });
 
@@ -34,6 +38,20 @@ export const upload = multer({
   storage,
 });
 
+/*
+    Deletes the temp files multer saved for this request
+    - `upload.single()` puts the file in `req.file`, `upload.fields()` puts arrays of files in `req.files`.
+    - Call it when a request is rejected after the upload (validation errors, missing fields):
+      nothing will ever process those files, so they would pile up in "public/temp".
+  */
+export const removeUploadedFiles = (req) => {
+  const files = [req.file, ...Object.values(req.files ?? {}).flat()];
+
+  for (const file of files) {
+    if (file?.path) fs.rmSync(file.path, { force: true });
+  }
+};
+
 /*
  Multer Storage System - Notes: 
 
@@ -41,8 +59,8 @@ export const upload = multer({
      - Default storage saves files in memory (RAM), which is temporary.
      - Disk storage keeps files in a specific directory, making them persist longer.
 
-  👉 Why use `file.originalname`?
-     - It keeps the original filename, making it recognizable for users.
-     - If you want unique names, consider appending `Date.now()` to the filename.
+  👉 Why prefix `file.originalname`?
+     - The original filename keeps files recognizable for debugging.
+     - The unique prefix makes sure concurrent uploads never share a path.
 
 */
@@ -0,0 +1,56 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/*
+  Makes sure the logged-in user owns the resource in `req.params[paramName]` before the controller runs.
+  - Must be used after `verifyJWT` (it needs `req.user`).
+  - 400 for an invalid ID, 404 if the document doesn't exist, 403 if someone else owns it.
+  - The loaded document is attached to `req.resource`, so the controller doesn't need to fetch it again.
+  - `canAccess(resource, req)` can let other users through too (e.g. playlist collaborators).
+
+  Example:
+    router.route("/:videoId").delete(requireOwnership(Video, "videoId"), deleteVideo);
+*/
+export const requireOwnership = (
+  Model,
+  paramName,
+  { ownerField = "owner", canAccess = () => false } = {}
+) =>
+  asyncHandler(async (req, _, next) => {
+    const resourceName = Model.modelName.toLowerCase(); // "Video" -> "video"
+    const resourceId = req.params[paramName];
+
+    if (!isValidObjectId(resourceId)) {
+      throw new ApiError(400, `Invalid ${resourceName} ID`);
+    }
+
+    const resource = await Model.findById(resourceId);
+
+    if (!resource) {
+      throw new ApiError(404, `${Model.modelName} not found`);
+    }
+
+    if (
+      resource[ownerField]?.toString() !== req.user?._id.toString() &&
+      !canAccess(resource, req)
+    ) {
+      throw new ApiError(
+        403,
+        `You do not have permission to modify this ${resourceName}`
+      );
+    }
+
+    req.resource = resource;
+    next();
+  });
+
+/*
+👉 Why a middleware instead of checking inside each controller?
+   - Every "only the owner may do this" route needs the exact same check.
+   - Putting it in the route definition makes it impossible to forget and easy to review:
+     one look at the routes file shows which endpoints are owner-only.
+
+👉 Why compare with `.toString()`?
+   - ObjectIds are objects, so `===` would compare references, not values.
+*/
@@ -0,0 +1,60 @@
+import { ApiError } from "../utils/ApiError.js";
+import { removeUploadedFiles } from "./multer.middleware.js";
+
+/*
+  Declarative request validation.
+
+  Usage in a route file:
+    router.route("/:videoId").patch(verifyJWT, validate(updateVideoSchema), updateVideo)
+
+  A schema lists the expected fields per request part, each one built with the helpers
+  from `src/validators/fields.js`:
+    {
+      params: { videoId: field.objectId({ required: true }) },
+      query: { limit: field.number({ integer: true, min: 1 }) },
+      body: { title: field.string({ required: true, max: 100 }) },
+    }
+
+  - Every field of every part is checked, so the client gets ALL problems at once:
+    400 ApiError with `errors: [{ field: "body.title", message: "title is required" }, ...]`
+  - Valid values are written back coerced ("10" -> 10, "true" -> true, trimmed strings, Date objects),
+    so controllers can use them as-is. Defaults are applied the same way.
+  - Fields that are not in the schema are left untouched.
+
+  For multipart routes, put `validate()` after the multer middleware, since multer is what fills `req.body`.
+  A failing multipart request has its uploaded temp files removed, they will never be processed.
+*/
+const REQUEST_PARTS = ["params", "query", "body"];
+
+export const validate = (schema) => (req, _, next) => {
+  const errors = [];
+  const validated = {};
+
+  for (const part of REQUEST_PARTS) {
+    const fields = schema[part];
+    if (!fields) continue;
+
+    const source = req[part] ?? {};
+    validated[part] = { ...source };
+
+    for (const [name, rule] of Object.entries(fields)) {
+      const { value, error } = rule.check(source[name], name);
+
+      if (error) {
+        errors.push({ field: `${part}.${name}`, message: error });
+      } else if (value !== undefined) {
+        validated[part][name] = value;
+      }
+    }
+  }
+
+  if (errors.length) {
+    removeUploadedFiles(req);
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  // Only write back once everything is valid, a failing request is never half-coerced
+  Object.assign(req, validated);
+
+  next();
+};
@@ -7,13 +7,41 @@ const commentSchema = new Schema(
             type: String,
             required: true
         },
+        // A comment is posted on either a video or a tweet (community post), never both
         video: {
             type: Schema.Types.ObjectId,
             ref: "Video"
         },
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: "Tweet"
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        /*
+          Replies point at the top-level comment of their thread (`null` for top-level comments).
+          - Threads are one level deep, like on YouTube: replying to a reply adds to the same thread.
+        */
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        // A deleted comment that still has replies stays as a "[deleted]" placeholder to keep its thread
+        isDeleted: {
+            type: Boolean,
+            default: false
+        },
+        // Set by the owner of the video: one pinned comment per video, any number of hearts
+        isPinned: {
+            type: Boolean,
+            default: false
+        },
+        isHearted: {
+            type: Boolean,
+            default: false
         }
     },
     {
@@ -21,6 +49,16 @@ const commentSchema = new Schema(
     }
 )
 
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 }) // top-level comments of a video
+commentSchema.index({ tweet: 1, parentComment: 1, createdAt: -1 }) // top-level comments of a tweet
+commentSchema.index({ parentComment: 1, createdAt: 1 }) // replies of a thread, oldest first
+
+commentSchema.pre("validate", function (next) {
+    if (Boolean(this.video) === Boolean(this.tweet)) {
+        this.invalidate("video", "A comment must belong to either a video or a tweet")
+    }
+    next()
+})
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
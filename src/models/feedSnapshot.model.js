@@ -0,0 +1,36 @@
+import mongoose, {Schema} from "mongoose";
+import { HOME_FEED_SNAPSHOT_TTL_SECONDS } from "../constants.js";
+
+/*
+  One ranked home feed, saved when its first page is served (see `getHomeFeed`).
+  - The next pages are read from it, so videos can't move across pages while the viewer scrolls,
+    even though views, uploads and what the viewer watched keep changing the scores
+  - `viewerKey` (see `getViewerKey`) makes sure a cursor only works for the viewer it was made for,
+    anonymous visitors share the rankings saved under "anonymous"
+*/
+const feedSnapshotSchema = new Schema({
+    viewerKey: {
+        type: String,
+        required: true
+    },
+    items: [
+        {
+            video: {
+                type: Schema.Types.ObjectId,
+                ref: "Video",
+                required: true
+            },
+            score: Number,
+            reasons: [String], // recommendation sources ("co_watch", "subscriptions"...)
+            _id: false
+        }
+    ]
+}, {timestamps: true})
+
+// Scrolling sessions don't last long, let MongoDB clean old rankings up
+feedSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: HOME_FEED_SNAPSHOT_TTL_SECONDS })
+
+// The latest shared anonymous ranking (see `getAnonymousFeedSnapshot`)
+feedSnapshotSchema.index({ viewerKey: 1, createdAt: -1 })
+
+export const FeedSnapshot = mongoose.model("FeedSnapshot", feedSnapshotSchema)
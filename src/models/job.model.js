@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+import { JOB_MAX_ATTEMPTS } from "../constants.js";
+
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String, // name of the registered handler, e.g. "video:process"
+      required: true,
+      index: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed, // whatever the handler needs (ids, temp file paths, ...)
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "dead"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: JOB_MAX_ATTEMPTS,
+    },
+    runAt: {
+      type: Date, // the job is not picked up before this time (used for backoff)
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String, // id of the worker currently processing the job
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Workers always look for the oldest runnable job of a given status
+jobSchema.index({ status: 1, runAt: 1 });
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import { TWEET_REACTIONS } from "../constants.js";
 
 
 const likeSchema = new Schema({
@@ -18,7 +19,21 @@ const likeSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
+    /*
+      The reaction: "like" or "dislike" (videos, comments), tweets also accept emoji reactions.
+      - Documents from before reactions existed are backfilled with "like" (`npm run migrate:reactions`)
+    */
+    type: {
+        type: String,
+        enum: TWEET_REACTIONS,
+        default: "like"
+    }
     
 }, {timestamps: true})
 
+// One reaction per user per target, so like and dislike can't both exist
+likeSchema.index({ video: 1, likedBy: 1 }, { unique: true, partialFilterExpression: { video: { $exists: true } } })
+likeSchema.index({ comment: 1, likedBy: 1 }, { unique: true, partialFilterExpression: { comment: { $exists: true } } }) // also reaction counts of comments
+likeSchema.index({ tweet: 1, likedBy: 1 }, { unique: true, partialFilterExpression: { tweet: { $exists: true } } })
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
@@ -1,4 +1,45 @@
 import mongoose, {Schema} from "mongoose";
+import {
+    PLAYLIST_COLLABORATOR_ROLES,
+    PLAYLIST_VISIBILITY,
+    SYSTEM_PLAYLIST_TYPES,
+} from "../constants.js";
+import { generateShareToken } from "../utils/playlistAccess.js";
+
+/*
+  One video in a playlist.
+  - The order of `items` is the playlist order, so an item's position is its array index.
+  - A video appears at most once per playlist (checked when adding).
+*/
+const playlistItemSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {_id: false})
+
+// A user invited by the owner to help curate the playlist
+const playlistCollaboratorSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    role: {
+        type: String,
+        enum: PLAYLIST_COLLABORATOR_ROLES,
+        default: "editor"
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {_id: false})
 
 const playlistSchema = new Schema({
     name: {
@@ -9,18 +50,38 @@ const playlistSchema = new Schema({
         type: String,
         required: true
     },
-    videos: [
-        {
-            type: Schema.Types.ObjectId,
-            ref: "Video"
-        }
-    ],
+    // Replaces the old `videos` ID array (`npm run migrate:playlist-items`)
+    items: [playlistItemSchema],
     owner: {
         type: Schema.Types.ObjectId,
         ref: "User"
     },
+    visibility: {
+        type: String,
+        enum: Object.values(PLAYLIST_VISIBILITY),
+        default: PLAYLIST_VISIBILITY.PUBLIC
+    },
+    // Secret part of the share link of an unlisted playlist, only ever shown to the owner
+    shareToken: {
+        type: String,
+        default: generateShareToken,
+        select: false
+    },
+    collaborators: [playlistCollaboratorSchema],
+    // Set on the built-in "Watch Later" / "Liked videos" playlists, which can't be renamed or deleted
+    systemType: {
+        type: String,
+        enum: [...Object.values(SYSTEM_PLAYLIST_TYPES), null],
+        default: null
+    },
 }, {timestamps: true})
 
-
+playlistSchema.index({ "items.video": 1 }) // removing a deleted video from every playlist
+playlistSchema.index({ "collaborators.user": 1 }) // playlists a user collaborates on
+// One playlist of each system type per user
+playlistSchema.index(
+    { owner: 1, systemType: 1 },
+    { unique: true, partialFilterExpression: { systemType: { $type: "string" } } }
+)
 
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
@@ -1,6 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { USER_ROLES } from "../constants.js";
 
 const userSchema = new Schema(
   {
@@ -26,18 +27,18 @@ const userSchema = new Schema(
       index: true,
     },
     avatar: {
-      type: String, // cloudinary url
+      type: String, // storage url
       required: true,
     },
+    avatarKey: {
+      type: String, // storage key (provider public_id), used to delete the old avatar
+    },
     coverImage: {
-      type: String, // cloudinary url
-    },
-    watchHistory: [
-      {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
-      },
-    ],
+      type: String, // storage url
+    },
+    coverImageKey: {
+      type: String, // storage key (provider public_id), used to delete the old cover image
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
@@ -45,6 +46,31 @@ const userSchema = new Schema(
     refreshToken: {
       type: String,
     },
+    historyPaused: {
+      type: Boolean, // when true, watching videos is not recorded in the watch history
+      default: false,
+    },
+    feedLastVisitedAt: {
+      type: Date, // when the user last opened their subscription feed
+    },
+    feedPreviousVisitAt: {
+      type: Date, // the visit before that: uploads newer than this are "new since last visit"
+    },
+    role: {
+      type: String,
+      enum: Object.values(USER_ROLES),
+      default: USER_ROLES.USER,
+    },
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: {
+      type: Date,
+    },
+    banReason: {
+      type: String,
+    },
   },
   {
     timestamps: true,
@@ -80,6 +106,7 @@ userSchema.methods.generateAccessToken = function () {
       email: this.email, // Include email (useful for quick identification)
       username: this.username, // Include username
       fullName: this.fullName, // Include full name
+      role: this.role, // Include role so clients can show/hide moderation tools
     },
     process.env.ACCESS_TOKEN_SECRET, // Secret key for signing the token
     {
@@ -111,6 +138,10 @@ userSchema.methods.generateRefreshToken = function () {
 👉 Why do we use bcrypt.compare() instead of checking passwords directly?
    - Because the stored password is hashed, and bcrypt.compare() handles hashing automatically.
 
+👉 Why do we include the role in the access token?
+   - Clients can decide which UI to show (e.g. an admin panel) without an extra request.
+   - The server still checks the role from the database (verifyJWT loads the user), so a stale token can't grant access.
+
 👉 Why do we only include _id in the refresh token?
    - To keep it minimal and reduce exposure of user info.
    
@@ -1,15 +1,39 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_PROCESSING_STATUS } from "../constants.js";
+
+// Files are uploaded by the background job, so they only exist once processing is done
+function isProcessed() {
+    return this.processingStatus === VIDEO_PROCESSING_STATUS.READY
+}
 
 const videoSchema = new Schema(
     {
         videoFile: {
-            type: String, //cloudinary url
-            required: true
+            type: String, //storage url
+            required: isProcessed
+        },
+        videoFileKey: {
+            type: String, // storage key (provider public_id) of the original, used for streaming and deletion
         },
+        masterPlaylist: {
+            type: String, //storage url of the HLS master playlist (master.m3u8)
+        },
+        renditions: [
+            {
+                name: String, // e.g. "480p"
+                width: Number,
+                height: Number,
+                bandwidth: Number, // bits per second, as advertised in the master playlist
+                playlistUrl: String //storage url of the rendition's index.m3u8
+            }
+        ],
         thumbnail: {
-            type: String, //cloudinary url
-            required: true
+            type: String, //storage url
+            required: isProcessed
+        },
+        thumbnailKey: {
+            type: String, // storage key (provider public_id), used to delete the file later
         },
         title: {
             type: String, 
@@ -34,6 +58,14 @@ const videoSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        processingStatus: {
+            type: String,
+            enum: Object.values(VIDEO_PROCESSING_STATUS),
+            default: VIDEO_PROCESSING_STATUS.READY
+        },
+        processingError: {
+            type: String // last error message when processing failed
         }
 
     }, 
@@ -42,6 +74,19 @@ const videoSchema = new Schema(
     }
 )
 
+// Full-text search (used by `GET /videos/search`): a match in the title counts 5x more than one in the description
+videoSchema.index(
+    { title: "text", description: "text" },
+    { name: "video_text_search", weights: { title: 5, description: 1 } }
+)
+
+// Latest uploads of a set of channels (subscription feed), newest first
+videoSchema.index({ owner: 1, createdAt: -1 })
+
+// Home feed candidates: most viewed videos and fresh uploads
+videoSchema.index({ views: -1 })
+videoSchema.index({ createdAt: -1 })
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
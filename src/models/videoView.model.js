@@ -0,0 +1,44 @@
+import mongoose, {Schema} from "mongoose";
+import { VIEW_RECORD_TTL_SECONDS } from "../constants.js";
+
+/*
+  One document per (video, viewer) pair, used to deduplicate view counting.
+  - `viewerKey` is "user:<HMAC of the user ID>" for logged-in viewers and "ip:<HMAC of the IP>" for anonymous ones
+  - `countedAt` is when this viewer last added to `Video.views`
+  - `position` / `lastWatchedAt` remember where the viewer stopped watching
+  - `viewer` and `position` stay empty while the user's history is paused, and are blanked when it is cleared
+*/
+const videoViewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewerKey: {
+        type: String,
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId,
+        ref: "User" // null for anonymous viewers
+    },
+    countedAt: {
+        type: Date,
+        required: true
+    },
+    position: {
+        type: Number, // seconds
+        default: 0
+    },
+    lastWatchedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {timestamps: true})
+
+videoViewSchema.index({ video: 1, viewerKey: 1 }, { unique: true })
+
+// Records nobody touched for a while are only dedupe state, let MongoDB clean them up
+videoViewSchema.index({ lastWatchedAt: 1 }, { expireAfterSeconds: VIEW_RECORD_TTL_SECONDS })
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema)
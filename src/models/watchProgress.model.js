@@ -0,0 +1,44 @@
+import mongoose, {Schema} from "mongoose";
+
+/*
+  How far a user got in a video (one document per user + video).
+  - Powers "resume playback" and the watch history (newest first by `lastWatchedAt`)
+  - Replaces the old `User.watchHistory` array, which only stored video IDs
+*/
+const watchProgressSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    position: {
+        type: Number, // seconds from the start of the video
+        default: 0,
+        min: 0
+    },
+    percent: {
+        type: Number, // 0-100, based on the video duration
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    lastWatchedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {timestamps: true})
+
+watchProgressSchema.index({ user: 1, video: 1 }, { unique: true })
+watchProgressSchema.index({ user: 1, lastWatchedAt: -1 }) // watch history page
+watchProgressSchema.index({ video: 1 }) // who else watched a video (co-watch recommendations)
+
+export const WatchProgress = mongoose.model("WatchProgress", watchProgressSchema)
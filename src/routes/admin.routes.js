@@ -0,0 +1,53 @@
+import { Router } from "express";
+import {
+  banUser,
+  deleteCommentAsModerator,
+  deleteTweetAsModerator,
+  forceUnpublishVideo,
+  listUsers,
+  unbanUser,
+  updateUserRole,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { USER_ROLES } from "../constants.js";
+import {
+  banUserSchema,
+  listUsersSchema,
+  updateRoleSchema,
+  userIdSchema,
+} from "../validators/admin.validator.js";
+import { videoIdSchema } from "../validators/video.validator.js";
+import { commentIdSchema } from "../validators/comment.validator.js";
+import { tweetIdSchema } from "../validators/tweet.validator.js";
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+const adminOnly = authorize(USER_ROLES.ADMIN);
+const moderators = authorize(USER_ROLES.ADMIN, USER_ROLES.MODERATOR);
+
+// User management
+router.route("/users").get(adminOnly, validate(listUsersSchema), listUsers);
+router
+  .route("/users/:userId/ban")
+  .patch(adminOnly, validate(banUserSchema), banUser);
+router
+  .route("/users/:userId/unban")
+  .patch(adminOnly, validate(userIdSchema), unbanUser);
+router
+  .route("/users/:userId/role")
+  .patch(adminOnly, validate(updateRoleSchema), updateUserRole);
+
+// Content moderation
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(moderators, validate(videoIdSchema), forceUnpublishVideo);
+router
+  .route("/comments/:commentId")
+  .delete(moderators, validate(commentIdSchema), deleteCommentAsModerator);
+router
+  .route("/tweets/:tweetId")
+  .delete(moderators, validate(tweetIdSchema), deleteTweetAsModerator);
+
+export default router;
@@ -1,17 +1,54 @@
 import { Router } from 'express';
 import {
     addComment,
+    addReply,
+    addTweetComment,
     deleteComment,
+    getCommentReplies,
+    getTweetComments,
     getVideoComments,
+    toggleCommentHeart,
+    toggleCommentPin,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {optionalAuth, verifyJWT} from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    addCommentSchema,
+    addReplySchema,
+    addTweetCommentSchema,
+    commentIdSchema,
+    commentRepliesSchema,
+    tweetCommentsSchema,
+    updateCommentSchema,
+    videoCommentsSchema,
+} from "../validators/comment.validator.js";
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
-
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+// Reading comments is public, writing them needs a login
+router
+    .route("/:videoId")
+    .get(optionalAuth, validate(videoCommentsSchema), getVideoComments)
+    .post(verifyJWT, validate(addCommentSchema), addComment);
+router
+    .route("/t/:tweetId")
+    .get(optionalAuth, validate(tweetCommentsSchema), getTweetComments)
+    .post(verifyJWT, validate(addTweetCommentSchema), addTweetComment);
+router
+    .route("/c/:commentId")
+    .delete(verifyJWT, validate(commentIdSchema), deleteComment)
+    .patch(verifyJWT, validate(updateCommentSchema), updateComment);
+// Only the owner of the video can pin/heart its comments
+router
+    .route("/c/:commentId/pin")
+    .patch(verifyJWT, validate(commentIdSchema), toggleCommentPin);
+router
+    .route("/c/:commentId/heart")
+    .patch(verifyJWT, validate(commentIdSchema), toggleCommentHeart);
+router
+    .route("/:commentId/replies")
+    .get(optionalAuth, validate(commentRepliesSchema), getCommentReplies)
+    .post(verifyJWT, validate(addReplySchema), addReply);
 
 export default router
\ No newline at end of file
@@ -4,12 +4,14 @@ import {
     getChannelVideos,
 } from "../controllers/dashboard.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js";
+import { channelVideosSchema } from "../validators/dashboard.validator.js";
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router.route("/stats").get(getChannelStats);
-router.route("/videos").get(getChannelVideos);
+router.route("/videos").get(validate(channelVideosSchema), getChannelVideos);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  getHomeFeed,
+  getSubscriptionFeed,
+} from "../controllers/feed.controller.js";
+import { optionalAuth, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  homeFeedSchema,
+  subscriptionFeedSchema,
+} from "../validators/feed.validator.js";
+
+const router = Router();
+
+// Public: anonymous visitors get a home feed too (popular and fresh videos)
+router.route("/home").get(optionalAuth, validate(homeFeedSchema), getHomeFeed);
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes below
+
+router
+  .route("/subscriptions")
+  .get(validate(subscriptionFeedSchema), getSubscriptionFeed);
+
+export default router;
@@ -1,30 +1,125 @@
 import { Router } from 'express';
 import {
+    addCollaborator,
+    addToWatchLater,
     addVideoToPlaylist,
     createPlaylist,
     deletePlaylist,
     getPlaylistById,
+    getSystemPlaylists,
     getUserPlaylists,
+    regenerateShareToken,
+    removeCollaborator,
+    removeFromWatchLater,
     removeVideoFromPlaylist,
+    reorderPlaylistItem,
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {optionalAuth, verifyJWT} from "../middlewares/auth.middleware.js"
+import { requireOwnership } from "../middlewares/ownership.middleware.js";
+import { Playlist } from "../models/playlist.model.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { canEditPlaylistItems } from "../utils/playlistAccess.js";
+import {
+    addCollaboratorSchema,
+    addPlaylistVideoSchema,
+    collaboratorSchema,
+    createPlaylistSchema,
+    getPlaylistSchema,
+    playlistIdSchema,
+    playlistVideoSchema,
+    reorderPlaylistSchema,
+    updatePlaylistSchema,
+    userPlaylistsSchema,
+    watchLaterSchema,
+} from "../validators/playlist.validator.js";
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+// Editors may change the videos of a playlist they collaborate on, everything else is owner-only
+const requirePlaylistEditor = requireOwnership(Playlist, "playlistId", {
+    canAccess: (playlist, req) => canEditPlaylistItems(playlist, req.user._id),
+});
+
+// The logged-in user's "Watch Later" / "Liked videos" (before "/:playlistId", which would match them)
+router.route("/system").get(verifyJWT, getSystemPlaylists);
+router
+    .route("/watch-later/:videoId")
+    .post(verifyJWT, validate(watchLaterSchema), addToWatchLater)
+    .delete(verifyJWT, validate(watchLaterSchema), removeFromWatchLater);
+
+// Public: anyone can browse a channel's (public) playlists and open shared ones
+router
+    .route("/user/:userId")
+    .get(optionalAuth, validate(userPlaylistsSchema), getUserPlaylists);
+router
+    .route("/:playlistId")
+    .get(optionalAuth, validate(getPlaylistSchema), getPlaylistById);
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes below
 
-router.route("/").post(createPlaylist)
+router.route("/").post(validate(createPlaylistSchema), createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .patch(
+        validate(updatePlaylistSchema),
+        requireOwnership(Playlist, "playlistId"),
+        updatePlaylist
+    )
+    .delete(
+        validate(playlistIdSchema),
+        requireOwnership(Playlist, "playlistId"),
+        deletePlaylist
+    );
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router
+    .route("/add/:videoId/:playlistId")
+    .patch(
+        validate(addPlaylistVideoSchema),
+        requirePlaylistEditor,
+        addVideoToPlaylist
+    );
+router
+    .route("/remove/:videoId/:playlistId")
+    .patch(
+        validate(playlistVideoSchema),
+        requirePlaylistEditor,
+        removeVideoFromPlaylist
+    );
+// Move one video to another position: body `{ videoId, position }`
+router
+    .route("/:playlistId/reorder")
+    .patch(
+        validate(reorderPlaylistSchema),
+        requirePlaylistEditor,
+        reorderPlaylistItem
+    );
+
+router
+    .route("/:playlistId/share-token")
+    .post(
+        validate(playlistIdSchema),
+        requireOwnership(Playlist, "playlistId"),
+        regenerateShareToken
+    );
+router
+    .route("/:playlistId/collaborators")
+    .post(
+        validate(addCollaboratorSchema),
+        requireOwnership(Playlist, "playlistId"),
+        addCollaborator
+    );
+// The owner can remove anyone, a collaborator can leave on their own
+router
+    .route("/:playlistId/collaborators/:userId")
+    .delete(
+        validate(collaboratorSchema),
+        requireOwnership(Playlist, "playlistId", {
+            canAccess: (_, req) => req.user._id.equals(req.params.userId),
+        }),
+        removeCollaborator
+    );
 
-router.route("/user/:userId").get(getUserPlaylists);
 
 export default router
\ No newline at end of file
@@ -5,15 +5,23 @@ import {
     toggleSubscription,
 } from "../controllers/subscription.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    channelIdSchema,
+    channelSubscribersSchema,
+    subscribedChannelsSchema,
+} from "../validators/subscription.validator.js";
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/c/:channelId")
-    .get(getSubscribedChannels)
-    .post(toggleSubscription);
+    .get(validate(subscribedChannelsSchema), getSubscribedChannels)
+    .post(validate(channelIdSchema), toggleSubscription);
 
-router.route("/u/:subscriberId").get(getUserChannelSubscribers);
+router
+    .route("/u/:subscriberId")
+    .get(validate(channelSubscribersSchema), getUserChannelSubscribers);
 
 export default router
\ No newline at end of file
@@ -6,12 +6,22 @@ import {
     updateTweet,
 } from "../controllers/tweet.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    createTweetSchema,
+    tweetIdSchema,
+    updateTweetSchema,
+    userTweetsSchema,
+} from "../validators/tweet.validator.js";
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+router.route("/").post(validate(createTweetSchema), createTweet);
+router.route("/user/:userId").get(validate(userTweetsSchema), getUserTweets);
+router
+    .route("/:tweetId")
+    .patch(validate(updateTweetSchema), updateTweet)
+    .delete(validate(tweetIdSchema), deleteTweet);
 
 export default router
\ No newline at end of file
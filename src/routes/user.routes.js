@@ -10,10 +10,25 @@ import {
     updateUserCoverImage, 
     getUserChannelProfile, 
     getWatchHistory, 
+    removeFromWatchHistory, 
+    clearWatchHistory, 
+    setWatchHistoryPaused, 
     updateAccountDetails
 } from "../controllers/user.controller.js";
 import {upload} from "../middlewares/multer.middleware.js"
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { optionalAuth, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    changePasswordSchema,
+    channelProfileSchema,
+    historyEntrySchema,
+    loginSchema,
+    pauseHistorySchema,
+    refreshTokenSchema,
+    registerSchema,
+    updateAccountSchema,
+    watchHistorySchema,
+} from "../validators/user.validator.js";
 
 
 const router = Router()
@@ -29,22 +44,25 @@ router.route("/register").post(
             maxCount: 1
         }
     ]),
+    validate(registerSchema), // after multer, which fills req.body for multipart forms
     registerUser
     )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(validate(loginSchema), loginUser)
 
 //secured routes
 router.route("/logout").post(verifyJWT,  logoutUser)
-router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/refresh-token").post(validate(refreshTokenSchema), refreshAccessToken)
+router.route("/change-password").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
-router.route("/update-account").patch(verifyJWT, updateAccountDetails)
+router.route("/update-account").patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/c/:username").get(optionalAuth, validate(channelProfileSchema), getUserChannelProfile) // public, `isSubscribed` needs a login
+router.route("/history").get(verifyJWT, validate(watchHistorySchema), getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/pause").patch(verifyJWT, validate(pauseHistorySchema), setWatchHistoryPaused)
+router.route("/history/:videoId").delete(verifyJWT, validate(historyEntrySchema), removeFromWatchHistory)
 
 export default router
\ No newline at end of file
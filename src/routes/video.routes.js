@@ -3,20 +3,41 @@ import {
   deleteVideo,
   getAllVideos,
   getVideoById,
+  getVideoProcessingStatus,
+  searchVideos,
+  streamVideo,
   publishAVideo,
+  recordVideoView,
   togglePublishStatus,
   updateVideo,
+  updateWatchProgress,
 } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { optionalAuth, verifyJWT } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { requireOwnership } from "../middlewares/ownership.middleware.js";
+import { Video } from "../models/video.model.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  listVideosSchema,
+  publishVideoSchema,
+  recordViewSchema,
+  searchVideosSchema,
+  updateVideoSchema,
+  videoIdSchema,
+  watchProgressSchema,
+} from "../validators/video.validator.js";
 
 const router = Router();
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
+/*
+  Browsing is public (`optionalAuth`), everything that changes data needs a login (`verifyJWT`).
+  - Unpublished videos stay hidden from everyone except their owner (checked in the controllers).
+*/
 router
   .route("/")
-  .get(getAllVideos)
+  .get(optionalAuth, validate(listVideosSchema), getAllVideos)
   .post(
+    verifyJWT,
     upload.fields([
       {
         name: "videoFile",
@@ -27,15 +48,52 @@ router
         maxCount: 1,
       },
     ]),
+    validate(publishVideoSchema), // after multer, which fills req.body for multipart forms
     publishAVideo
   );
 
+// Must be registered before "/:videoId", otherwise "search" would be treated as a video ID
+router
+  .route("/search")
+  .get(optionalAuth, validate(searchVideosSchema), searchVideos);
+
 router
   .route("/:videoId")
-  .get(getVideoById)
-  .delete(deleteVideo)
-  .patch(upload.single("thumbnail"), updateVideo);
+  .get(optionalAuth, validate(videoIdSchema), getVideoById)
+  .delete(
+    verifyJWT,
+    validate(videoIdSchema),
+    requireOwnership(Video, "videoId"),
+    deleteVideo
+  )
+  .patch(
+    verifyJWT,
+    validate(videoIdSchema),
+    requireOwnership(Video, "videoId"),
+    upload.single("thumbnail"),
+    validate(updateVideoSchema),
+    updateVideo
+  );
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router
+  .route("/:videoId/status")
+  .get(verifyJWT, validate(videoIdSchema), getVideoProcessingStatus);
+router
+  .route("/:videoId/stream")
+  .get(optionalAuth, validate(videoIdSchema), streamVideo);
+router
+  .route("/:videoId/view")
+  .post(optionalAuth, validate(recordViewSchema), recordVideoView);
+router
+  .route("/:videoId/progress")
+  .put(verifyJWT, validate(watchProgressSchema), updateWatchProgress);
+router
+  .route("/toggle/publish/:videoId")
+  .patch(
+    verifyJWT,
+    validate(videoIdSchema),
+    requireOwnership(Video, "videoId"),
+    togglePublishStatus
+  );
 
 export default router;
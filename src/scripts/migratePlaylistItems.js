@@ -0,0 +1,66 @@
+/*
+  Moves the old `Playlist.videos` ID arrays into `Playlist.items` ({ video, addedAt }).
+
+  Usage:
+    npm run migrate:playlist-items
+
+  - The playlist order is kept. Duplicate videos (the old array allowed them) keep their first position.
+  - The real "added" date is unknown for old entries, so the playlist's last update date is used.
+  - Playlists that already have `items` are left alone, so the script can be re-run safely.
+  - The old array is removed from each playlist once migrated.
+*/
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Playlist } from "../models/playlist.model.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+const migrate = async () => {
+  // `videos` is not in the schema anymore, so read the raw documents
+  const playlists = Playlist.collection.find(
+    { videos: { $exists: true } },
+    { projection: { videos: 1, items: 1, updatedAt: 1, createdAt: 1 } }
+  );
+
+  let migratedPlaylists = 0;
+  let migratedItems = 0;
+
+  for await (const playlist of playlists) {
+    const update = { $unset: { videos: "" } };
+
+    if (!playlist.items?.length) {
+      const addedAt = playlist.updatedAt || playlist.createdAt || new Date();
+      const seen = new Set();
+
+      const items = (playlist.videos || [])
+        .filter((videoId) => {
+          const key = videoId.toString();
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map((videoId) => ({ video: videoId, addedAt }));
+
+      update.$set = { items };
+      migratedItems += items.length;
+    }
+
+    await Playlist.collection.updateOne({ _id: playlist._id }, update);
+    migratedPlaylists++;
+  }
+
+  console.log(
+    `Migrated ${migratedItems} playlist items from ${migratedPlaylists} playlists.`
+  );
+};
+
+connectDB()
+  .then(migrate)
+  .catch((err) => {
+    console.log("Playlist items migration failed !!! ", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,65 @@
+/*
+  Prepares the `likes` collection for reactions.
+
+  Usage:
+    npm run migrate:reactions
+
+  - Likes created before reactions existed have no `type`: they are set to "like".
+  - A user can now have only one reaction per video/comment/tweet (unique indexes).
+    Duplicates left by the old toggle (two quick clicks) are removed, keeping the oldest one.
+  - Safe to re-run: it only touches documents that still need it.
+*/
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Like } from "../models/like.model.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+const TARGET_FIELDS = ["video", "comment", "tweet"];
+
+const migrate = async () => {
+  const backfilled = await Like.updateMany(
+    { type: { $exists: false } },
+    { $set: { type: "like" } }
+  );
+
+  let duplicates = 0;
+
+  for (const field of TARGET_FIELDS) {
+    const groups = Like.aggregate([
+      { $match: { [field]: { $exists: true } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { target: `$${field}`, likedBy: "$likedBy" },
+          ids: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]).cursor();
+
+    for await (const { ids } of groups) {
+      const result = await Like.deleteMany({ _id: { $in: ids.slice(1) } });
+      duplicates += result.deletedCount;
+    }
+  }
+
+  // Builds the unique indexes now that the data fits them
+  await Like.syncIndexes();
+
+  console.log(
+    `Set "like" on ${backfilled.modifiedCount} likes, removed ${duplicates} duplicates.`
+  );
+};
+
+connectDB()
+  .then(migrate)
+  .catch((err) => {
+    console.log("Reactions migration failed !!! ", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
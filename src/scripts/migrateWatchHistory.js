@@ -0,0 +1,76 @@
+/*
+  Moves the old `User.watchHistory` arrays (video IDs only) into the WatchProgress collection.
+
+  Usage:
+    npm run migrate:watch-history
+
+  - Position/percent are unknown for old entries, so they start at 0.
+  - The array was most-recent-first, so `lastWatchedAt` is spread out (1 second apart)
+    to keep the same order in the new history.
+  - Existing WatchProgress documents are never overwritten, so the script can be re-run safely.
+  - The array is removed from each user once migrated.
+*/
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+const migrate = async () => {
+  // `watchHistory` is not in the schema anymore, so read the raw documents
+  const users = User.collection.find(
+    { watchHistory: { $exists: true } },
+    { projection: { watchHistory: 1 } }
+  );
+
+  let migratedUsers = 0;
+  let migratedEntries = 0;
+
+  for await (const user of users) {
+    const history = user.watchHistory || [];
+    const now = Date.now();
+
+    if (history.length) {
+      const result = await WatchProgress.bulkWrite(
+        history.map((videoId, index) => ({
+          updateOne: {
+            filter: { user: user._id, video: videoId },
+            update: {
+              $setOnInsert: {
+                position: 0,
+                percent: 0,
+                completed: false,
+                lastWatchedAt: new Date(now - index * 1000),
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      migratedEntries += result.upsertedCount;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: { watchHistory: "" } }
+    );
+    migratedUsers++;
+  }
+
+  console.log(
+    `Migrated ${migratedEntries} watch history entries from ${migratedUsers} users.`
+  );
+};
+
+connectDB()
+  .then(migrate)
+  .catch((err) => {
+    console.log("Watch history migration failed !!! ", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
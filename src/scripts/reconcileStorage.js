@@ -0,0 +1,116 @@
+/*
+  Finds (and optionally deletes) stored files that no document references anymore.
+
+  Usage:
+    npm run storage:reconcile                 -> dry run, only prints the orphans
+    npm run storage:reconcile -- --delete     -> deletes them
+    npm run storage:reconcile -- --min-age-hours=48
+
+  Files younger than `--min-age-hours` (default 24) are skipped,
+  because a background job may have uploaded them without saving the video yet.
+  Files without a modification date are skipped too: their age can't be checked.
+  Only the app's folders (`STORAGE_FOLDERS`) are scanned.
+*/
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { deleteFile, keyFromUrl, listFiles } from "../storage/index.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+const args = process.argv.slice(2);
+const shouldDelete = args.includes("--delete");
+const minAgeArg = args
+  .find((arg) => arg.startsWith("--min-age-hours="))
+  ?.split("=")[1];
+const minAgeHours = minAgeArg === undefined ? 24 : parseFloat(minAgeArg);
+
+// A typo must not turn into "no minimum age" (NaN would make every file old enough to delete)
+if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+  console.log("--min-age-hours must be a number of hours (0 or more)");
+  process.exit(1);
+}
+
+// HLS files are stored under "hls/<videoId>/...", they belong to the video as long as it exists
+const HLS_KEY_PATTERN = /(?:^|\/)hls\/([0-9a-f]{24})\//;
+
+const collectReferencedKeys = async () => {
+  const referenced = new Set();
+  const add = (key, url) => {
+    if (key) referenced.add(key);
+    const derivedKey = url && keyFromUrl(url); // documents created before keys were stored
+    if (derivedKey) referenced.add(derivedKey);
+  };
+
+  const videos = Video.find()
+    .select("videoFile videoFileKey thumbnail thumbnailKey")
+    .lean()
+    .cursor();
+  for await (const video of videos) {
+    add(video.videoFileKey, video.videoFile);
+    add(video.thumbnailKey, video.thumbnail);
+  }
+
+  const users = User.find()
+    .select("avatar avatarKey coverImage coverImageKey")
+    .lean()
+    .cursor();
+  for await (const user of users) {
+    add(user.avatarKey, user.avatar);
+    add(user.coverImageKey, user.coverImage);
+  }
+
+  return referenced;
+};
+
+const reconcile = async () => {
+  const referenced = await collectReferencedKeys();
+  const existingVideoIds = new Set(
+    (await Video.find().distinct("_id")).map((id) => id.toString())
+  );
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+  let scanned = 0;
+  let orphans = 0;
+  let orphanBytes = 0;
+
+  for await (const file of listFiles()) {
+    scanned++;
+
+    if (referenced.has(file.key)) continue;
+
+    const hlsMatch = HLS_KEY_PATTERN.exec(file.key);
+    if (hlsMatch && existingVideoIds.has(hlsMatch[1])) continue;
+
+    if (!file.lastModified || file.lastModified.getTime() > cutoff) continue;
+
+    orphans++;
+    orphanBytes += file.size || 0;
+    console.log(`${shouldDelete ? "Deleting" : "Orphan"}: ${file.key}`);
+
+    if (shouldDelete) {
+      await deleteFile(file.key);
+    }
+  }
+
+  console.log(
+    `\nScanned ${scanned} files, ${orphans} orphans (${(
+      orphanBytes /
+      1024 /
+      1024
+    ).toFixed(1)} MB)` +
+      (shouldDelete ? " deleted." : ". Run with --delete to remove them.")
+  );
+};
+
+connectDB()
+  .then(reconcile)
+  .catch((err) => {
+    console.log("Storage reconciliation failed !!! ", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
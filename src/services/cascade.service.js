@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { DELETED_COMMENT_CONTENT } from "../constants.js";
+
+/*
+  Cascading deletes: removing a video, tweet or comment also removes everything that points at it
+  (likes, comments, playlist entries, watch history, view records), so no dangling references are left behind.
+
+  Every function accepts an optional `session` and returns a report of what was removed, e.g.
+  { likes: 12, comments: 3, commentLikes: 5, playlists: 2, watchHistory: 40 }
+*/
+
+// MongoDB error code for "Transaction numbers are only allowed on a replica set member or mongos"
+const ILLEGAL_OPERATION = 20;
+
+/*
+  Runs `work(session)` inside a transaction so the cascade is all-or-nothing.
+  - Transactions need a replica set. On a standalone server (typical local setup)
+    we fall back to running the same work without a session.
+*/
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (
+      error?.code === ILLEGAL_OPERATION ||
+      /Transaction numbers are only allowed/.test(error?.message)
+    ) {
+      console.log("Transactions not supported, running cascade without one");
+      return await work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Deletes comments (and the likes on them)
+const deleteComments = async (filter, session) => {
+  const commentIds = await Comment.find(filter)
+    .session(session)
+    .distinct("_id");
+
+  if (!commentIds.length) {
+    return { comments: 0, commentLikes: 0 };
+  }
+
+  const commentLikes = await Like.deleteMany(
+    { comment: { $in: commentIds } },
+    { session }
+  );
+  const comments = await Comment.deleteMany(
+    { _id: { $in: commentIds } },
+    { session }
+  );
+
+  return {
+    comments: comments.deletedCount,
+    commentLikes: commentLikes.deletedCount,
+  };
+};
+
+export const deleteVideoCascade = async (videoId, session = null) => {
+  const likes = await Like.deleteMany({ video: videoId }, { session });
+  const { comments, commentLikes } = await deleteComments(
+    { video: videoId },
+    session
+  );
+  const playlists = await Playlist.updateMany(
+    { "items.video": videoId },
+    { $pull: { items: { video: videoId } } },
+    { session }
+  );
+  const watchHistory = await WatchProgress.deleteMany(
+    { video: videoId },
+    { session }
+  );
+  const views = await VideoView.deleteMany({ video: videoId }, { session });
+  const video = await Video.deleteOne({ _id: videoId }, { session });
+
+  return {
+    videos: video.deletedCount,
+    likes: likes.deletedCount,
+    comments,
+    commentLikes,
+    playlists: playlists.modifiedCount,
+    watchHistory: watchHistory.deletedCount,
+    viewRecords: views.deletedCount,
+  };
+};
+
+export const deleteTweetCascade = async (tweetId, session = null) => {
+  const likes = await Like.deleteMany({ tweet: tweetId }, { session });
+  const { comments, commentLikes } = await deleteComments(
+    { tweet: tweetId },
+    session
+  );
+  const tweet = await Tweet.deleteOne({ _id: tweetId }, { session });
+
+  return {
+    tweets: tweet.deletedCount,
+    likes: likes.deletedCount,
+    comments,
+    commentLikes,
+  };
+};
+
+/*
+  Deleting a comment keeps its thread readable:
+  - A comment with replies becomes a "[deleted]" placeholder (content and owner removed, replies kept)
+  - A comment without replies is removed. If it was the last reply under a placeholder,
+    the placeholder goes too, since there is nothing left to show under it.
+*/
+export const deleteCommentCascade = async (commentId, session = null) => {
+  const comment = await Comment.findById(commentId).session(session);
+
+  if (!comment) {
+    return { comments: 0, commentLikes: 0, placeholders: 0 };
+  }
+
+  const hasReplies = await Comment.exists({
+    parentComment: comment._id,
+  }).session(session);
+
+  if (hasReplies) {
+    const commentLikes = await Like.deleteMany(
+      { comment: comment._id },
+      { session }
+    );
+    await Comment.updateOne(
+      { _id: comment._id },
+      {
+        $set: {
+          content: DELETED_COMMENT_CONTENT,
+          owner: null,
+          isDeleted: true,
+          isPinned: false,
+          isHearted: false,
+        },
+      },
+      { session }
+    );
+
+    return {
+      comments: 0,
+      commentLikes: commentLikes.deletedCount,
+      placeholders: 1,
+    };
+  }
+
+  let { comments, commentLikes } = await deleteComments(
+    { _id: comment._id },
+    session
+  );
+
+  if (comment.parentComment) {
+    const repliesLeft = await Comment.exists({
+      parentComment: comment.parentComment,
+    }).session(session);
+
+    if (!repliesLeft) {
+      // Placeholders have no likes left (they were removed when the parent was deleted)
+      const parent = await Comment.deleteOne(
+        { _id: comment.parentComment, isDeleted: true },
+        { session }
+      );
+      comments += parent.deletedCount;
+    }
+  }
+
+  return { comments, commentLikes, placeholders: 0 };
+};
+
+/*
+👉 Why a separate service instead of doing this inside the controllers?
+   - The same cleanup is needed from several places (deleting a video, tweet or comment,
+     and later from admin tools), so it lives in one reusable function per resource.
+
+👉 Why a transaction?
+   - If the server crashes halfway, we don't want a video that is gone but whose comments still exist.
+   - Inside a transaction either every delete is applied, or none of them is.
+*/
@@ -0,0 +1,95 @@
+import { Playlist } from "../models/playlist.model.js";
+import {
+  DUPLICATE_KEY,
+  PLAYLIST_VISIBILITY,
+  SYSTEM_PLAYLIST_TYPES,
+} from "../constants.js";
+
+// Name/description given to each system playlist when it is created
+const SYSTEM_PLAYLIST_DETAILS = {
+  [SYSTEM_PLAYLIST_TYPES.WATCH_LATER]: {
+    name: "Watch Later",
+    description: "Videos saved to watch later",
+  },
+  [SYSTEM_PLAYLIST_TYPES.LIKED_VIDEOS]: {
+    name: "Liked videos",
+    description: "Videos you liked",
+  },
+};
+
+/*
+  Adds a video to a playlist in one atomic update
+  - The filter `"items.video": { $ne: videoId }` only matches if the video is not in the playlist yet,
+    so two quick clicks can never add it twice.
+  - `$push` with `$position` inserts at the given index (past the end simply appends).
+  Returns the updated playlist, or `null` if the video was already in it.
+*/
+export const addPlaylistItem = async (playlistId, videoId, position) =>
+  await Playlist.findOneAndUpdate(
+    { _id: playlistId, "items.video": { $ne: videoId } },
+    {
+      $push: {
+        items: {
+          $each: [{ video: videoId, addedAt: new Date() }],
+          ...(position !== undefined ? { $position: position } : {}),
+        },
+      },
+    },
+    { new: true }
+  );
+
+/*
+  Returns the user's "Watch Later" or "Liked videos" playlist, creating it if needed.
+  - New users get both on registration; users from before system playlists existed
+    get them the first time they are used.
+  - Upsert + unique index: parallel requests end up with the same single playlist.
+*/
+export const getSystemPlaylist = async (userId, systemType) => {
+  const filter = { owner: userId, systemType };
+
+  try {
+    return await Playlist.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          ...SYSTEM_PLAYLIST_DETAILS[systemType],
+          visibility: PLAYLIST_VISIBILITY.PRIVATE,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error?.code !== DUPLICATE_KEY) {
+      throw error;
+    }
+    return await Playlist.findOne(filter);
+  }
+};
+
+export const ensureSystemPlaylists = async (userId) =>
+  await Promise.all(
+    Object.values(SYSTEM_PLAYLIST_TYPES).map((systemType) =>
+      getSystemPlaylist(userId, systemType)
+    )
+  );
+
+/*
+  Keeps "Liked videos" in sync with the video likes
+  - A like puts the video on top (most recently liked first)
+  - Unliking, or switching to a dislike, removes it
+*/
+export const syncLikedVideosPlaylist = async ({ userId, videoId, liked }) => {
+  const playlist = await getSystemPlaylist(
+    userId,
+    SYSTEM_PLAYLIST_TYPES.LIKED_VIDEOS
+  );
+
+  if (liked) {
+    await addPlaylistItem(playlist._id, videoId, 0);
+  } else {
+    await Playlist.updateOne(
+      { _id: playlist._id },
+      { $pull: { items: { video: videoId } } }
+    );
+  }
+};
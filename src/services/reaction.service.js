@@ -0,0 +1,107 @@
+import { Like } from "../models/like.model.js";
+import { DUPLICATE_KEY, LIKE_REACTIONS } from "../constants.js";
+
+/*
+  Reactions are stored in the `Like` collection: one document per user per video/comment/tweet,
+  with the reaction in `type` ("like", "dislike", or an emoji reaction on tweets).
+  - `target` is always one of `{ video }`, `{ comment }` or `{ tweet }`
+  - Because there is only one document per user and target, like and dislike are mutually exclusive
+*/
+
+/*
+  Toggles a reaction, like a like button:
+  - same reaction again -> removed
+  - different reaction -> replaced (a like becomes a dislike)
+  - no reaction yet -> added
+  Returns `{ reaction, previous }`, `reaction` is `null` when it was removed.
+*/
+export const toggleReaction = async ({ target, userId, type }) => {
+  const filter = { ...target, likedBy: userId };
+  const existing = await Like.findOne(filter);
+
+  if (existing?.type === type) {
+    await Like.deleteOne({ _id: existing._id });
+    return { reaction: null, previous: type };
+  }
+
+  if (existing) {
+    await Like.updateOne({ _id: existing._id }, { $set: { type } });
+    return { reaction: type, previous: existing.type };
+  }
+
+  try {
+    await Like.create({ ...filter, type });
+  } catch (error) {
+    if (error?.code !== DUPLICATE_KEY) {
+      throw error;
+    }
+    // Another request created the reaction first: the latest choice wins
+    await Like.updateOne(filter, { $set: { type } });
+  }
+
+  return { reaction: type, previous: null };
+};
+
+// `{ like: 3, dislike: 1, ... }` for one target, every type of `types` is present (0 if unused)
+export const countReactions = async (target, types = LIKE_REACTIONS) => {
+  const groups = await Like.aggregate([
+    { $match: target },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+
+  const counts = Object.fromEntries(types.map((type) => [type, 0]));
+  for (const { _id, count } of groups) {
+    counts[_id] = count;
+  }
+
+  return counts;
+};
+
+/*
+  Reaction counts + the viewer's own reaction for a whole page of targets in two queries
+  - `field` is "video", "comment" or "tweet"
+  - Returns a Map: target ID (string) -> `{ reactions: { like, dislike, ... }, myReaction }`
+*/
+export const summarizeReactions = async (
+  field,
+  ids,
+  viewerId,
+  types = LIKE_REACTIONS
+) => {
+  const groups = await Like.aggregate([
+    { $match: { [field]: { $in: ids } } },
+    {
+      $group: {
+        _id: { target: `$${field}`, type: "$type" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const mine = viewerId
+    ? await Like.find({ [field]: { $in: ids }, likedBy: viewerId })
+        .select(`${field} type`)
+        .lean()
+    : [];
+
+  const summaries = new Map(
+    ids.map((id) => [
+      id.toString(),
+      {
+        reactions: Object.fromEntries(types.map((type) => [type, 0])),
+        myReaction: null,
+      },
+    ])
+  );
+
+  for (const { _id, count } of groups) {
+    const summary = summaries.get(_id.target.toString());
+    if (summary) summary.reactions[_id.type] = count;
+  }
+  for (const reaction of mine) {
+    const summary = summaries.get(reaction[field].toString());
+    if (summary) summary.myReaction = reaction.type;
+  }
+
+  return summaries;
+};
@@ -0,0 +1,335 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { visibleVideosFilter } from "../utils/videoVisibility.js";
+import {
+  RECOMMENDATION_CANDIDATE_LIMIT,
+  RECOMMENDATION_FRESH_MAX_VIEWS,
+  RECOMMENDATION_FRESH_UPLOAD_DAYS,
+  RECOMMENDATION_NEIGHBOR_LIMIT,
+  RECOMMENDATION_RECENCY_HALF_LIFE_DAYS,
+  RECOMMENDATION_SEED_LIMIT,
+  RECOMMENDATION_WEIGHTS,
+} from "../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/*
+  Home feed recommendations, computed from our own collections (no external service).
+
+  1. Viewer signals: recently watched and liked videos ("seeds"), subscriptions, channels of liked videos
+  2. Candidates from several sources: co-watch, subscriptions, liked channels, popular, fresh uploads
+  3. Each candidate is scored with the weighted sum of its signals (`RECOMMENDATION_WEIGHTS`)
+  Anonymous visitors have no signals, so they get popular videos and fresh uploads.
+*/
+
+const toObjectIds = (ids) =>
+  ids.map((id) => new mongoose.Types.ObjectId(id.toString()));
+
+const uniqueIds = (ids) => [...new Set(ids.map((id) => id.toString()))];
+
+// Seeds, subscriptions and liked channels of a logged-in viewer
+const getViewerSignals = async (viewerId) => {
+  if (!viewerId) {
+    return { seedIds: [], subscribedChannels: [], likedChannels: [] };
+  }
+
+  const [watched, liked, subscribedChannels] = await Promise.all([
+    WatchProgress.find({ user: viewerId })
+      .sort({ lastWatchedAt: -1 })
+      .limit(RECOMMENDATION_SEED_LIMIT)
+      .select("video")
+      .lean(),
+    Like.find({ likedBy: viewerId, video: { $exists: true }, type: "like" })
+      .sort({ createdAt: -1 })
+      .limit(RECOMMENDATION_SEED_LIMIT)
+      .select("video")
+      .lean(),
+    Subscription.find({ subscriber: viewerId }).distinct("channel"),
+  ]);
+
+  const likedVideoIds = liked.map(({ video }) => video);
+  const likedChannels = likedVideoIds.length
+    ? await Video.find({ _id: { $in: likedVideoIds } }).distinct("owner")
+    : [];
+
+  return {
+    // A video that was both watched and liked is a single seed
+    seedIds: toObjectIds(
+      uniqueIds([...watched.map(({ video }) => video), ...likedVideoIds])
+    ),
+    subscribedChannels,
+    likedChannels,
+  };
+};
+
+/*
+  "People who watched X also watched Y"
+  1. Neighbours: other users who watched the seeds, ranked by how many seeds they share with the viewer
+  2. Each video the neighbours watched scores the sum of their shared seeds (closer neighbours weigh more)
+  Returns Map(videoId -> raw score), seeds excluded.
+*/
+const getCoWatchScores = async (seedIds, viewerId) => {
+  if (!seedIds.length) return new Map();
+
+  const neighbours = await WatchProgress.aggregate([
+    { $match: { video: { $in: seedIds }, user: { $ne: viewerId } } },
+    { $group: { _id: "$user", shared: { $sum: 1 } } },
+    { $sort: { shared: -1, _id: -1 } },
+    { $limit: RECOMMENDATION_NEIGHBOR_LIMIT },
+  ]);
+
+  if (!neighbours.length) return new Map();
+
+  const neighbourIds = neighbours.map(({ _id }) => _id);
+  const sharedCounts = neighbours.map(({ shared }) => shared);
+
+  const coWatched = await WatchProgress.aggregate([
+    { $match: { user: { $in: neighbourIds }, video: { $nin: seedIds } } },
+    {
+      $group: {
+        _id: "$video",
+        // Looks up the neighbour's shared seed count from the two parallel arrays
+        score: {
+          $sum: {
+            $arrayElemAt: [
+              sharedCounts,
+              { $indexOfArray: [neighbourIds, "$user"] },
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: RECOMMENDATION_CANDIDATE_LIMIT },
+  ]);
+
+  return new Map(coWatched.map(({ _id, score }) => [_id.toString(), score]));
+};
+
+// IDs of the first `RECOMMENDATION_CANDIDATE_LIMIT` visible videos matching `filter` in `sort` order
+const findCandidateIds = async (filter, sort) => {
+  const videos = await Video.find({ ...visibleVideosFilter(), ...filter })
+    .sort(sort)
+    .limit(RECOMMENDATION_CANDIDATE_LIMIT)
+    .select("_id")
+    .lean();
+
+  return videos.map(({ _id }) => _id.toString());
+};
+
+// Candidate IDs per source, the source names are sent back as `reasons`
+const getCandidateSources = async ({
+  coWatch,
+  subscribedChannels,
+  likedChannels,
+  freshSince,
+}) => {
+  const [subscriptions, likedChannelUploads, popular, fresh] =
+    await Promise.all([
+      subscribedChannels.length
+        ? findCandidateIds(
+            { owner: { $in: subscribedChannels } },
+            { createdAt: -1 }
+          )
+        : [],
+      likedChannels.length
+        ? findCandidateIds({ owner: { $in: likedChannels } }, { createdAt: -1 })
+        : [],
+      findCandidateIds({}, { views: -1 }),
+      findCandidateIds(
+        {
+          createdAt: { $gte: freshSince },
+          views: { $lte: RECOMMENDATION_FRESH_MAX_VIEWS },
+        },
+        { createdAt: -1 }
+      ),
+    ]);
+
+  return {
+    co_watch: [...coWatch.keys()],
+    subscriptions,
+    liked_channels: likedChannelUploads,
+    popular,
+    fresh,
+  };
+};
+
+// Videos the viewer is done with: finished, or already liked/disliked
+const getSeenVideoIds = async (viewerId, candidateIds) => {
+  if (!viewerId) return new Set();
+
+  const [finished, reacted] = await Promise.all([
+    WatchProgress.find({
+      user: viewerId,
+      video: { $in: candidateIds },
+      completed: true,
+    }).distinct("video"),
+    Like.find({ likedBy: viewerId, video: { $in: candidateIds } }).distinct(
+      "video"
+    ),
+  ]);
+
+  return new Set(uniqueIds([...finished, ...reacted]));
+};
+
+/*
+  Deterministic "random" number in [0, 1) for the exploration boost.
+  - Same viewer + video + day = same roll, so reloading the home page doesn't reshuffle it
+  - Different viewers (and days) explore different fresh uploads
+*/
+const explorationRoll = (viewerKey, videoId, now) => {
+  const day = now.toISOString().slice(0, 10);
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${viewerKey}:${videoId}:${day}`)
+    .digest();
+
+  return hash.readUInt32BE(0) / 2 ** 32;
+};
+
+/*
+  Ranks the home feed of a viewer, best first.
+  - `viewerId` is optional (anonymous visitors), `viewerKey` comes from `getViewerKey(req)`
+  - Returns `{ video, score, reasons }` entries (`reasons`: the sources the video came from),
+    `loadRecommendedVideos` turns a page of them into full videos
+*/
+export const recommendVideos = async ({
+  viewerId,
+  viewerKey,
+  now = new Date(),
+}) => {
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  const freshSince = new Date(
+    now.getTime() - RECOMMENDATION_FRESH_UPLOAD_DAYS * DAY_MS
+  );
+
+  const { seedIds, subscribedChannels, likedChannels } =
+    await getViewerSignals(viewer);
+  const coWatch = await getCoWatchScores(seedIds, viewer);
+  const sources = await getCandidateSources({
+    coWatch,
+    subscribedChannels,
+    likedChannels,
+    freshSince,
+  });
+
+  // Every source a candidate came from
+  const reasons = new Map();
+  for (const [source, ids] of Object.entries(sources)) {
+    for (const id of ids) {
+      reasons.set(id, [...(reasons.get(id) ?? []), source]);
+    }
+  }
+
+  const candidateIds = toObjectIds([...reasons.keys()]);
+  const seen = await getSeenVideoIds(viewer, candidateIds);
+
+  // Only what scoring needs. The viewer's own uploads don't belong in their feed
+  const videos = await Video.find({
+    _id: { $in: candidateIds },
+    ...visibleVideosFilter(),
+    ...(viewer ? { owner: { $ne: viewer } } : {}),
+  })
+    .select("owner views createdAt")
+    .lean();
+
+  /*
+    Scoring: every signal is brought to 0-1 before being weighted
+    - co-watch and popularity are relative to the best candidate (popularity on a log scale)
+  */
+  const subscribed = new Set(uniqueIds(subscribedChannels));
+  const likedChannelIds = new Set(uniqueIds(likedChannels));
+  const maxCoWatch = Math.max(0, ...coWatch.values());
+  const maxViews = Math.max(0, ...videos.map(({ views }) => views ?? 0));
+
+  return videos
+    .filter(({ _id }) => !seen.has(_id.toString()))
+    .map((video) => {
+      const id = video._id.toString();
+      const ownerId = video.owner?.toString();
+      const views = video.views ?? 0;
+      const ageDays = Math.max(0, (now - video.createdAt) / DAY_MS);
+      const isFresh =
+        video.createdAt >= freshSince &&
+        views <= RECOMMENDATION_FRESH_MAX_VIEWS;
+
+      const signals = {
+        coWatch: maxCoWatch ? (coWatch.get(id) ?? 0) / maxCoWatch : 0,
+        subscribed: subscribed.has(ownerId) ? 1 : 0,
+        likedChannel: likedChannelIds.has(ownerId) ? 1 : 0,
+        recency: 0.5 ** (ageDays / RECOMMENDATION_RECENCY_HALF_LIFE_DAYS),
+        popularity: maxViews ? Math.log1p(views) / Math.log1p(maxViews) : 0,
+        exploration: isFresh ? explorationRoll(viewerKey, id, now) : 0,
+      };
+
+      const score = Object.entries(signals).reduce(
+        (total, [signal, value]) =>
+          total + RECOMMENDATION_WEIGHTS[signal] * value,
+        0
+      );
+
+      return {
+        video: video._id,
+        score: Math.round(score * 10000) / 10000,
+        reasons: reasons.get(id),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.video.toString().localeCompare(a.video.toString())
+    );
+};
+
+/*
+  Full videos (with their owner) for a page of `recommendVideos` entries, in the same order.
+  - Videos unpublished or deleted since the ranking was made are left out
+*/
+export const loadRecommendedVideos = async (entries) => {
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        _id: { $in: entries.map(({ video }) => video) },
+        ...visibleVideosFilter(),
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { fullName: 1, username: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $project: {
+        videoFile: 1,
+        masterPlaylist: 1,
+        thumbnail: 1,
+        title: 1,
+        description: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1,
+        owner: { $first: "$owner" },
+      },
+    },
+  ]);
+
+  const videosById = new Map(
+    videos.map((video) => [video._id.toString(), video])
+  );
+
+  return entries
+    .filter(({ video }) => videosById.has(video.toString()))
+    .map(({ video, score, reasons }) => ({
+      ...videosById.get(video.toString()),
+      score,
+      reasons,
+    }));
+};
@@ -0,0 +1,188 @@
+import crypto from "crypto";
+import { Video } from "../models/video.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import {
+  DUPLICATE_KEY,
+  VIEW_DEDUPE_WINDOW_MS,
+  WATCH_COMPLETE_PERCENT,
+} from "../constants.js";
+
+/*
+  Keyed hash (HMAC) of a viewer identifier.
+  - A plain hash of an IP can be reversed by hashing all ~4 billion IPv4 addresses,
+    without the server secret that is not possible.
+  - The secret is read on every call, so it is picked up after dotenv has loaded it.
+*/
+const hashViewerId = (value) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.VIEWER_KEY_SECRET || process.env.ACCESS_TOKEN_SECRET
+    )
+    .update(value)
+    .digest("hex");
+
+/*
+  Identifies who is watching.
+  - Logged-in viewers are identified by their user ID, anonymous ones by their IP.
+  - Both are hashed with a server secret: raw addresses are never stored, and a view record
+    kept for deduplication after the history was paused or cleared doesn't name the user.
+*/
+const userViewerKey = (userId) => `user:${hashViewerId(userId.toString())}`;
+
+export const getViewerKey = (req) => {
+  if (req.user?._id) {
+    return userViewerKey(req.user._id);
+  }
+
+  const ip = req.ip || req.socket?.remoteAddress || "unknown";
+  return `ip:${hashViewerId(ip)}`;
+};
+
+/*
+  Counts a view at most once per viewer per `VIEW_DEDUPE_WINDOW_MS` (sliding window).
+  Returns `true` when this call added a view.
+
+  Both steps are single atomic operations, so concurrent requests from the same viewer
+  can't count twice:
+  1. An existing record whose last counted view is older than the window is "re-armed".
+  2. Otherwise the record is upserted; only the request that actually inserts it counts.
+
+  With `recordHistory: false` the record is only dedupe state: no user, no position, and
+  `lastWatchedAt` (which expires the record) only moves when a view is counted.
+  Whatever was stored before the history was paused is blanked.
+*/
+const countViewOnce = async ({
+  videoId,
+  viewerKey,
+  userId,
+  position,
+  recordHistory,
+  now,
+}) => {
+  const playback = recordHistory
+    ? { position, lastWatchedAt: now }
+    : { viewer: null, position: 0 };
+
+  const rearmed = await VideoView.findOneAndUpdate(
+    {
+      video: videoId,
+      viewerKey,
+      countedAt: { $lt: new Date(now.getTime() - VIEW_DEDUPE_WINDOW_MS) },
+    },
+    { $set: { countedAt: now, lastWatchedAt: now, ...playback } }
+  );
+
+  if (rearmed) {
+    return true;
+  }
+
+  try {
+    const result = await VideoView.updateOne(
+      { video: videoId, viewerKey },
+      {
+        $set: playback,
+        $setOnInsert: {
+          countedAt: now,
+          ...(recordHistory
+            ? { viewer: userId ?? null }
+            : { lastWatchedAt: now }),
+        },
+      },
+      { upsert: true }
+    );
+
+    return result.upsertedCount === 1;
+  } catch (error) {
+    if (error?.code === DUPLICATE_KEY) {
+      return false; // another request created the record first and counted the view
+    }
+    throw error;
+  }
+};
+
+/*
+  Saves how far a user got in a video (upsert, one document per user + video).
+  - `percent` is derived from the video duration (0 when the duration is unknown yet)
+  - `completed` is sticky: rewatching the beginning of a finished video doesn't "unfinish" it
+  - `lastWatchedAt` orders the watch history, so every save moves the video to the top
+*/
+export const saveWatchProgress = async ({
+  userId,
+  videoId,
+  position = 0,
+  duration,
+  now = new Date(),
+}) => {
+  const percent = duration
+    ? Math.min(100, Math.round((position / duration) * 10000) / 100)
+    : 0;
+  const completed = percent >= WATCH_COMPLETE_PERCENT;
+
+  return await WatchProgress.findOneAndUpdate(
+    { user: userId, video: videoId },
+    {
+      $set: {
+        position,
+        percent,
+        lastWatchedAt: now,
+        ...(completed ? { completed: true } : {}),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/*
+  Records that someone is watching a video.
+  - Increments `Video.views` when the view is not a duplicate
+  - Stores the watch position and time for this viewer
+  - Updates the watch progress (and so the watch history) of logged-in viewers
+  - Logged-in viewers who paused their history (`recordHistory: false`) only get the view counted
+*/
+export const recordView = async ({
+  videoId,
+  viewerKey,
+  userId,
+  position = 0,
+  duration,
+  recordHistory = true,
+}) => {
+  const now = new Date();
+
+  const counted = await countViewOnce({
+    videoId,
+    viewerKey,
+    userId,
+    position,
+    recordHistory,
+    now,
+  });
+
+  if (counted) {
+    await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+  }
+
+  const progress =
+    userId && recordHistory
+      ? await saveWatchProgress({ userId, videoId, position, duration, now })
+      : null;
+
+  return { counted, position, watchedAt: now, progress };
+};
+
+/*
+  Blanks the watch history kept in a user's view records (when they remove videos from their watch history).
+  - `videoId` limits it to one video, otherwise every record of the user is blanked.
+  - The records themselves stay, exactly like the ones written while the history is paused:
+    deleting them would let the next view inside the dedupe window count again.
+*/
+export const clearViewHistory = async (userId, videoId) =>
+  await VideoView.updateMany(
+    {
+      viewerKey: userViewerKey(userId),
+      ...(videoId ? { video: videoId } : {}),
+    },
+    { $set: { viewer: null, position: 0 } }
+  );
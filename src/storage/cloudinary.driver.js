@@ -0,0 +1,144 @@
+import { v2 as cloudinary } from "cloudinary";
+import path from "path";
+
+/*
+  Cloudinary storage driver.
+  - Keys look like "<resource_type>/<public_id>" (e.g. "image/avatars/abc123"),
+    because Cloudinary needs the resource type to build URLs or delete an asset.
+  - `raw` assets (HLS playlists/segments) keep their extension in the public_id.
+*/
+const RESOURCE_TYPES = ["image", "video", "raw"];
+
+export const createCloudinaryDriver = () => {
+  // Configuring Cloudinary with credentials stored in environment variables
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const splitKey = (key) => {
+    const [resourceType, ...rest] = key.split("/");
+    return { resourceType, publicId: rest.join("/") };
+  };
+
+  return {
+    name: "cloudinary",
+
+    upload: async (
+      localFilePath,
+      { folder, fileName, resourceType = "auto" } = {}
+    ) => {
+      const options = { resource_type: resourceType, folder };
+
+      if (fileName) {
+        // Images and videos get their extension from Cloudinary, raw files must keep it
+        options.public_id =
+          resourceType === "raw"
+            ? fileName
+            : path.basename(fileName, path.extname(fileName));
+        options.overwrite = true;
+      }
+
+      const response = await cloudinary.uploader.upload(localFilePath, options);
+
+      return {
+        key: `${response.resource_type}/${response.public_id}`,
+        url: response.secure_url || response.url,
+      };
+    },
+
+    delete: async (key) => {
+      const { resourceType, publicId } = splitKey(key);
+      await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        invalidate: true, // Purge CDN caches too
+      });
+    },
+
+    // Deletes everything under a folder (e.g. all HLS files of a video), for every resource type
+    deleteFolder: async (folder) => {
+      for (const resourceType of RESOURCE_TYPES) {
+        await cloudinary.api.delete_resources_by_prefix(`${folder}/`, {
+          resource_type: resourceType,
+        });
+      }
+    },
+
+    // Yields every file stored under `folder` as { key, size, lastModified }, 500 per API call
+    list: async function* (folder) {
+      for (const resourceType of RESOURCE_TYPES) {
+        let nextCursor;
+        do {
+          const page = await cloudinary.api.resources({
+            type: "upload",
+            resource_type: resourceType,
+            prefix: `${folder}/`,
+            max_results: 500,
+            next_cursor: nextCursor,
+          });
+
+          for (const resource of page.resources) {
+            yield {
+              key: `${resourceType}/${resource.public_id}`,
+              size: resource.bytes,
+              lastModified: new Date(resource.created_at),
+            };
+          }
+
+          nextCursor = page.next_cursor;
+        } while (nextCursor);
+      }
+    },
+
+    getUrl: (key) => {
+      const { resourceType, publicId } = splitKey(key);
+      return cloudinary.url(publicId, {
+        resource_type: resourceType,
+        secure: true,
+      });
+    },
+
+    stat: async (key) => {
+      const { resourceType, publicId } = splitKey(key);
+      try {
+        const resource = await cloudinary.api.resource(publicId, {
+          resource_type: resourceType,
+        });
+        return {
+          size: resource.bytes,
+          lastModified: new Date(resource.created_at),
+          contentType: `${resourceType}/${resource.format || "octet-stream"}`,
+        };
+      } catch (error) {
+        if (error?.error?.http_code === 404) return null;
+        throw error;
+      }
+    },
+
+    // Cloudinary "upload" assets are public, a signed URL only proves the URL wasn't tampered with
+    getSignedUrl: async (key) => {
+      const { resourceType, publicId } = splitKey(key);
+      return cloudinary.url(publicId, {
+        resource_type: resourceType,
+        secure: true,
+        sign_url: true,
+      });
+    },
+
+    // "https://res.cloudinary.com/<cloud>/image/upload/v123/avatars/abc.jpg" -> "image/avatars/abc"
+    keyFromUrl: (url) => {
+      const match = /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/.exec(
+        url || ""
+      );
+      if (!match) return null;
+
+      const [, resourceType, publicPath] = match;
+      const publicId =
+        resourceType === "raw"
+          ? publicPath
+          : publicPath.replace(/\.[^/.]+$/, ""); // drop the extension
+      return `${resourceType}/${decodeURIComponent(publicId)}`;
+    },
+  };
+};
@@ -0,0 +1,128 @@
+import fs from "fs";
+import { createCloudinaryDriver } from "./cloudinary.driver.js";
+import { createLocalDriver } from "./local.driver.js";
+import { createS3Driver } from "./s3.driver.js";
+import { STORAGE_FOLDERS } from "../constants.js";
+
+/*
+  Storage layer used by every controller that stores files.
+  - STORAGE_DRIVER selects the provider: "cloudinary" (default), "local" or "s3".
+  - Every driver implements the same interface:
+      upload(localFilePath, { folder, fileName, resourceType }) -> { key, url }
+      delete(key), deleteFolder(folder), list(folder), getUrl(key), stat(key),
+      getSignedUrl(key, { expiresIn }), keyFromUrl(url)
+  - Controllers store the returned `url` for clients and the `key` to manage the file later.
+*/
+
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let driver;
+
+// The driver is created on first use, so environment variables are already loaded by then
+export const getStorage = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "cloudinary";
+    const createDriver = driverFactories[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+
+    driver = createDriver();
+  }
+
+  return driver;
+};
+
+const removeLocalFile = (localFilePath) => {
+  if (localFilePath && fs.existsSync(localFilePath)) {
+    fs.unlinkSync(localFilePath);
+  }
+};
+
+/*
+  Uploads a temp file (from multer or the transcoder) to the configured storage.
+  - Returns `{ key, url }`, or `null` if there was no file or the upload failed.
+  - The temp file is always removed after a successful upload.
+  - `keepLocalFileOnError` keeps it after a failure so a background job can retry.
+*/
+export const uploadFile = async (
+  localFilePath,
+  options = {},
+  { keepLocalFileOnError = false } = {}
+) => {
+  try {
+    if (!localFilePath) return null;
+
+    const uploaded = await getStorage().upload(localFilePath, options);
+
+    removeLocalFile(localFilePath);
+    return uploaded;
+  } catch (error) {
+    console.log(`Storage upload failed for ${localFilePath}: `, error?.message);
+
+    if (!keepLocalFileOnError) {
+      removeLocalFile(localFilePath);
+    }
+    return null;
+  }
+};
+
+export const deleteFile = async (key) => {
+  if (!key) return;
+  await getStorage().delete(key);
+};
+
+/*
+  Best-effort cleanup of files that are no longer referenced (replaced avatar, deleted video, ...).
+  - Never throws: the database change already happened, so a storage hiccup must not fail the request.
+  - Anything left behind is picked up later by `npm run storage:reconcile`.
+*/
+export const deleteFilesQuietly = async (keys = [], folders = []) => {
+  const storage = getStorage();
+
+  const results = await Promise.allSettled([
+    ...keys.filter(Boolean).map((key) => storage.delete(key)),
+    ...folders.filter(Boolean).map((folder) => storage.deleteFolder(folder)),
+  ]);
+
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.log("Storage cleanup failed: ", result.reason?.message)
+    );
+};
+
+/*
+  Async iterator over the files stored by the app: `for await (const file of listFiles()) { ... }`
+  - Only the app's own folders (`STORAGE_FOLDERS`) are listed, the bucket / cloud may hold other files too
+*/
+export const listFiles = async function* (folders = STORAGE_FOLDERS) {
+  for (const folder of folders) {
+    yield* getStorage().list(folder);
+  }
+};
+
+export const getFileUrl = (key) => getStorage().getUrl(key);
+
+export const statFile = async (key) => await getStorage().stat(key);
+
+export const getSignedFileUrl = async (key, options) =>
+  await getStorage().getSignedUrl(key, options);
+
+// Recovers the storage key from a URL that was returned by `uploadFile`
+export const keyFromUrl = (url) => getStorage().keyFromUrl(url);
+
+/*
+👉 Why a storage layer instead of calling Cloudinary directly?
+   - Controllers don't care where files end up, they only need a URL and a key.
+   - Switching providers (or running fully offline with "local") is now a single env change.
+
+👉 Why keep both `key` and `url`?
+   - The `url` is what clients load.
+   - The `key` is what the provider needs to delete, inspect or sign the file later.
+*/
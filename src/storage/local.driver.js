@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getContentType } from "../utils/mimeTypes.js";
+import { LOCAL_STORAGE_ROOT } from "../constants.js";
+
+/*
+  Local filesystem storage driver (great for development and running fully offline).
+  - Files live under STORAGE_LOCAL_ROOT (`LOCAL_STORAGE_ROOT`) and keys are paths relative to it ("avatars/123-me.png").
+  - They are served by the `/media` route in app.js (see `serveLocalMedia`).
+*/
+export const createLocalDriver = () => {
+  const root = path.resolve(LOCAL_STORAGE_ROOT);
+  const baseUrl = (process.env.STORAGE_PUBLIC_BASE_URL || "/media").replace(
+    /\/$/,
+    ""
+  );
+  const signingSecret =
+    process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+  // Resolves a key to an absolute path, refusing anything that escapes the storage root ("../")
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires) =>
+    crypto
+      .createHmac("sha256", signingSecret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+
+  return {
+    name: "local",
+
+    upload: async (localFilePath, { folder = "", fileName } = {}) => {
+      const key = path.posix.join(
+        folder,
+        fileName || path.basename(localFilePath)
+      );
+      const filePath = resolvePath(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(localFilePath, filePath);
+
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    deleteFolder: async (folder) => {
+      await fs.promises.rm(resolvePath(folder), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    list: async function* (folder) {
+      const walk = async function* (dir) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT") return; // nothing stored yet
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(entryPath);
+          } else {
+            const stats = await fs.promises.stat(entryPath);
+            yield {
+              key: path.relative(root, entryPath).split(path.sep).join("/"),
+              size: stats.size,
+              lastModified: stats.mtime,
+            };
+          }
+        }
+      };
+
+      yield* walk(resolvePath(folder));
+    },
+
+    getUrl: (key) => `${baseUrl}/${key}`,
+
+    stat: async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolvePath(key));
+        return {
+          size: stats.size,
+          lastModified: stats.mtime,
+          contentType: getContentType(key),
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    getSignedUrl: async (key, { expiresIn = 3600 } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}/${key}?expires=${expires}&signature=${sign(
+        key,
+        expires
+      )}`;
+    },
+
+    // Checks a signature created by `getSignedUrl`
+    verifySignature: (key, expires, signature) => {
+      if (!expires || !signature) return false;
+      if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) return false;
+
+      const expected = Buffer.from(sign(key, expires));
+      const received = Buffer.from(String(signature));
+      return (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+      );
+    },
+
+    keyFromUrl: (url) => {
+      if (!url?.startsWith(`${baseUrl}/`)) return null;
+      return decodeURIComponent(url.slice(baseUrl.length + 1).split("?")[0]);
+    },
+
+    resolvePath,
+  };
+};
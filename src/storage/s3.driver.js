@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { getContentType } from "../utils/mimeTypes.js";
+
+/*
+  S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces, ...).
+  - Keys are object keys inside S3_BUCKET ("thumbnails/123-thumb.jpg").
+  - Public URLs use S3_PUBLIC_URL (e.g. a CDN) when set, otherwise the bucket endpoint.
+*/
+export const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT; // only needed for non-AWS providers
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true";
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined, // fall back to the default AWS credential chain
+  });
+
+  const publicBaseUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+  return {
+    name: "s3",
+
+    upload: async (localFilePath, { folder = "", fileName } = {}) => {
+      const key = path.posix.join(
+        folder,
+        fileName || path.basename(localFilePath)
+      );
+      const { size } = await fs.promises.stat(localFilePath);
+
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: fs.createReadStream(localFilePath),
+          ContentLength: size,
+          ContentType: getContentType(localFilePath),
+        })
+      );
+
+      return { key, url: `${publicBaseUrl}/${encodeKey(key)}` };
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    deleteFolder: async (folder) => {
+      let continuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: `${folder}/`,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        if (page.Contents?.length) {
+          // ListObjectsV2 returns at most 1000 keys, which is also the DeleteObjects limit
+          await client.send(
+            new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: {
+                Objects: page.Contents.map(({ Key }) => ({ Key })),
+                Quiet: true,
+              },
+            })
+          );
+        }
+
+        continuationToken = page.NextContinuationToken;
+      } while (continuationToken);
+    },
+
+    list: async function* (folder) {
+      let continuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: `${folder}/`,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        for (const object of page.Contents || []) {
+          yield {
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+          };
+        }
+
+        continuationToken = page.NextContinuationToken;
+      } while (continuationToken);
+    },
+
+    getUrl: (key) => `${publicBaseUrl}/${encodeKey(key)}`,
+
+    stat: async (key) => {
+      try {
+        const head = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return {
+          size: head.ContentLength,
+          lastModified: head.LastModified,
+          contentType: head.ContentType,
+        };
+      } catch (error) {
+        if (error?.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    getSignedUrl: async (key, { expiresIn = 3600 } = {}) =>
+      await getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+      ),
+
+    keyFromUrl: (url) => {
+      if (!url?.startsWith(`${publicBaseUrl}/`)) return null;
+      return decodeURIComponent(
+        url.slice(publicBaseUrl.length + 1).split("?")[0]
+      );
+    },
+  };
+};
@@ -21,3 +21,5 @@ const asyncHandler = (requestHandler) => {
      - If the function rejects (throws an error), `.catch()` will send it to `next(err)`, so Express can deal with it.
   
 */
+
+export { asyncHandler };
@@ -0,0 +1,27 @@
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { canViewVideo } from "./videoVisibility.js";
+
+/*
+  A comment belongs to either a video or a tweet (community post), like `Like` does.
+  - `commentTarget(comment)` gives the matching filter: `{ video }` or `{ tweet }`
+  - Replies copy the target of their thread, so the same filter finds a whole discussion
+*/
+export const commentTarget = (comment) =>
+  comment.video ? { video: comment.video } : { tweet: comment.tweet };
+
+/*
+  Can the viewer see the video/tweet a comment was posted on?
+  - Videos follow the usual visibility rules (see `videoVisibility.js`)
+  - Tweets are public, they only need to still exist
+*/
+export const canViewCommentTarget = async (comment, viewerId) => {
+  if (comment.video) {
+    const video = await Video.findById(comment.video).select(
+      "owner isPublished processingStatus"
+    );
+    return canViewVideo(video, viewerId);
+  }
+
+  return Boolean(await Tweet.exists({ _id: comment.tweet }));
+};
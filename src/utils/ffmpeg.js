@@ -1,4 +1,7 @@
 import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import path from "path";
+import { HLS_RENDITIONS, HLS_SEGMENT_DURATION } from "../constants.js";
 
 // Function to get the duration of a video file
 // This function takes the path of a video file as input and returns a Promise
@@ -25,3 +28,111 @@ export const getVideoDuration = (videoPath) => {
    - We wrap this in a Promise to use it asynchronously.
 
 */
+
+// Function to read the width and height of the first video stream in a file
+export const getVideoDimensions = (videoPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        reject("Error extracting video dimensions");
+        return;
+      }
+
+      const videoStream = metadata.streams.find(
+        (stream) => stream.codec_type === "video"
+      );
+
+      if (!videoStream) {
+        reject("No video stream found");
+        return;
+      }
+
+      resolve({ width: videoStream.width, height: videoStream.height });
+    });
+  });
+};
+
+// Encodes a single HLS rendition (index.m3u8 + segment_XXX.ts) into `outputDir`
+const encodeRendition = (videoPath, outputDir, rendition) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .outputOptions([
+        `-vf scale=-2:${rendition.height}`, // Keep aspect ratio, force an even width
+        "-c:v libx264",
+        "-preset veryfast",
+        "-profile:v main",
+        `-b:v ${rendition.videoBitrate}k`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        "-c:a aac",
+        `-b:a ${rendition.audioBitrate}k`,
+        "-ac 2",
+        `-hls_time ${HLS_SEGMENT_DURATION}`,
+        "-hls_playlist_type vod",
+        `-hls_segment_filename ${path.join(outputDir, "segment_%03d.ts")}`,
+      ])
+      .output(path.join(outputDir, "index.m3u8"))
+      .on("end", () => resolve())
+      .on("error", (err) =>
+        reject(`Error transcoding ${rendition.name}: ${err.message}`)
+      )
+      .run();
+  });
+};
+
+// Transcodes a video into the HLS_RENDITIONS ladder and writes a master playlist
+// Resolves with the master playlist path and the list of renditions that were produced
+export const transcodeToHls = async (videoPath, outputDir) => {
+  const source = await getVideoDimensions(videoPath);
+
+  // Never upscale: only keep renditions at or below the source height (but always keep the lowest one)
+  let renditions = HLS_RENDITIONS.filter(
+    (rendition) => rendition.height <= source.height
+  );
+  if (!renditions.length) {
+    renditions = [HLS_RENDITIONS[0]];
+  }
+
+  const produced = [];
+
+  // Encode one rendition at a time, running them in parallel would starve the CPU
+  for (const rendition of renditions) {
+    const renditionDir = path.join(outputDir, rendition.name);
+    fs.mkdirSync(renditionDir, { recursive: true });
+
+    await encodeRendition(videoPath, renditionDir, rendition);
+
+    produced.push({
+      name: rendition.name,
+      width:
+        Math.round((source.width * rendition.height) / source.height / 2) * 2,
+      height: rendition.height,
+      bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+      playlist: `${rendition.name}/index.m3u8`,
+    });
+  }
+
+  const masterPlaylist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...produced.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      rendition.playlist,
+    ]),
+  ].join("\n");
+
+  const masterPlaylistPath = path.join(outputDir, "master.m3u8");
+  fs.writeFileSync(masterPlaylistPath, `${masterPlaylist}\n`);
+
+  return { masterPlaylistPath, renditions: produced };
+};
+
+/*
+👉 What is HLS and why do we need multiple renditions?
+   - HLS (HTTP Live Streaming) splits a video into small `.ts` segments listed in a `.m3u8` playlist.
+   - We encode the same video at 240p/480p/720p, and the master playlist lists all of them.
+   - The player picks the rendition that fits the viewer's bandwidth and switches on the fly.
+
+👉 Why do we skip renditions larger than the source?
+   - Upscaling a 360p upload to 720p only wastes storage and bandwidth without improving quality.
+*/
@@ -0,0 +1,82 @@
+import fs from "fs";
+import path from "path";
+import { transcodeToHls } from "./ffmpeg.js";
+import { uploadFile } from "../storage/index.js";
+
+// Every HLS file of a video lives under this storage folder
+export const getHlsFolder = (videoId) =>
+  path.posix.join("hls", videoId.toString());
+
+/*
+  Transcodes a local video into HLS renditions and uploads the whole package.
+  - Everything is written to `public/temp/hls/<videoId>` first.
+  - Each file is uploaded through the storage layer under `hls/<videoId>/...`, keeping its file name,
+    so the relative paths inside the playlists (`480p/index.m3u8`, `segment_000.ts`) keep working.
+  - The temp folder is always removed, even if transcoding or uploading fails.
+*/
+export const createHlsPackage = async (videoPath, videoId) => {
+  const outputDir = path.join("./public/temp/hls", videoId.toString());
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  try {
+    const { masterPlaylistPath, renditions } = await transcodeToHls(
+      videoPath,
+      outputDir
+    );
+
+    const uploadHlsFile = async (localFilePath) => {
+      // "480p/segment_000.ts" -> folder "hls/<videoId>/480p", file name "segment_000.ts"
+      const relativeDir = path.dirname(path.relative(outputDir, localFilePath));
+      const folder = path.posix.join(
+        getHlsFolder(videoId),
+        relativeDir === "." ? "" : relativeDir
+      );
+
+      const uploaded = await uploadFile(localFilePath, {
+        folder,
+        fileName: path.basename(localFilePath),
+        resourceType: "raw",
+      });
+
+      if (!uploaded) {
+        throw new Error(`Failed to upload ${localFilePath}`);
+      }
+
+      return uploaded;
+    };
+
+    // Upload every rendition (segments first, then its playlist)
+    const uploadedRenditions = [];
+    for (const rendition of renditions) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      const segments = fs
+        .readdirSync(renditionDir)
+        .filter((file) => file.endsWith(".ts"));
+
+      for (const segment of segments) {
+        await uploadHlsFile(path.join(renditionDir, segment));
+      }
+
+      const playlist = await uploadHlsFile(
+        path.join(renditionDir, "index.m3u8")
+      );
+
+      uploadedRenditions.push({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        playlistUrl: playlist.url,
+      });
+    }
+
+    const masterPlaylist = await uploadHlsFile(masterPlaylistPath);
+
+    return {
+      masterPlaylistUrl: masterPlaylist.url,
+      renditions: uploadedRenditions,
+    };
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+};
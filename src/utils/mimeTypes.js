@@ -0,0 +1,22 @@
+import path from "path";
+
+// Content types for every kind of file we store or stream
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+export const getContentType = (filePath) =>
+  CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+  "application/octet-stream";
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+import {
+  PAGINATION_DEFAULT_LIMIT,
+  PAGINATION_MAX_LIMIT,
+} from "../constants.js";
+
+/*
+  Cursor pagination shared by every list endpoint.
+
+  - The client sends `?limit=20` for the first page, then `?limit=20&cursor=<nextCursor>` for the next ones.
+  - A cursor remembers the sort key + `_id` of the last item, so the next page starts right after it.
+    Unlike $skip, this stays fast on deep pages and doesn't skip/repeat items when new documents are added.
+  - Every list responds with the same envelope: { items, nextCursor, hasMore }
+
+  Usage (find):
+    const { limit, cursor } = getPaginationParams(req.query);
+    const docs = await Tweet.find(applyCursor({ owner }, cursor, "createdAt", -1))
+      .sort(cursorSort("createdAt", -1))
+      .limit(limit + 1); // one extra document tells us if there is a next page
+    return paginate(docs, limit, "createdAt");
+*/
+
+// Reads `limit` and `cursor` from the query string
+export const getPaginationParams = (
+  query = {},
+  { defaultLimit = PAGINATION_DEFAULT_LIMIT } = {}
+) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    PAGINATION_MAX_LIMIT
+  );
+
+  return { limit, cursor: decodeCursor(query.cursor) };
+};
+
+// Reads a (possibly nested, e.g. "video.createdAt") field from a document or plain object
+const getField = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value?.get ? value.get(key) : value?.[key]), doc);
+
+// Dates and ObjectIds don't survive JSON as-is, so they are tagged to be restored when decoding
+const serializeValue = (value) => {
+  if (value instanceof Date) return { t: "date", v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { t: "id", v: value.toString() };
+  }
+  return { v: value ?? null };
+};
+
+/*
+  Only accepts what `serializeValue` produces: a tagged date / ObjectId, or a plain scalar.
+  - The cursor comes from the client and its value ends up in `$match`,
+    so an object like `{ "$ne": null }` must never get through as a query operator.
+*/
+const SCALAR_TYPES = ["string", "number", "boolean"];
+
+const deserializeValue = ({ t, v }) => {
+  if (t === "date" && typeof v === "string") {
+    const date = new Date(v);
+    if (!Number.isNaN(date.getTime())) return date;
+  } else if (
+    t === "id" &&
+    typeof v === "string" &&
+    mongoose.isValidObjectId(v)
+  ) {
+    return new mongoose.Types.ObjectId(v);
+  } else if (
+    t === undefined &&
+    (v === null || SCALAR_TYPES.includes(typeof v))
+  ) {
+    return v;
+  }
+
+  throw new Error("Malformed cursor");
+};
+
+export const encodeCursor = (doc, sortField) =>
+  Buffer.from(
+    JSON.stringify({
+      key: serializeValue(getField(doc, sortField)),
+      id: getField(doc, "_id").toString(),
+    })
+  ).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const { key, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+
+    if (!key || typeof id !== "string" || !mongoose.isValidObjectId(id)) {
+      throw new Error("Malformed cursor");
+    }
+
+    return {
+      value: deserializeValue(key),
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    throw new ApiError(400, "Invalid pagination cursor");
+  }
+};
+
+// Sort spec with `_id` as tie-breaker, so items with the same sort key keep a stable order
+export const cursorSort = (sortField, direction = -1) =>
+  sortField === "_id"
+    ? { _id: direction }
+    : { [sortField]: direction, _id: direction };
+
+/*
+  Condition matching the documents that come after the cursor in `cursorSort(sortField, direction)` order
+  - e.g. newest first: createdAt < cursor.createdAt, or same createdAt and _id < cursor._id
+  - Use it as an extra `$match` stage (aggregations) or through `applyCursor` (find filters)
+*/
+export const cursorCondition = (cursor, sortField, direction = -1) => {
+  if (!cursor) return {};
+
+  const op = direction === -1 ? "$lt" : "$gt";
+
+  if (sortField === "_id") {
+    return { _id: { [op]: cursor.id } };
+  }
+
+  return {
+    $or: [
+      { [sortField]: { [op]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Adds the cursor condition to an existing filter without clobbering its own `$or`
+export const applyCursor = (filter, cursor, sortField, direction = -1) =>
+  cursor
+    ? { $and: [filter, cursorCondition(cursor, sortField, direction)] }
+    : filter;
+
+/*
+  Builds the response envelope from `limit + 1` fetched documents
+  - If the extra document exists there is a next page, and the cursor points at the last returned item
+*/
+export const paginate = (docs, limit, sortField) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore
+      ? encodeCursor(items[items.length - 1], sortField)
+      : null,
+    hasMore,
+  };
+};
@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import { PLAYLIST_VISIBILITY } from "../constants.js";
+
+/*
+  Who can do what with a playlist?
+  - The owner can do everything.
+  - Collaborators: "editor" can add, remove and reorder videos, "viewer" can only open it.
+    Only the owner can rename, delete, change the visibility or manage collaborators.
+  - Everyone else: public playlists, or unlisted ones with the right share token.
+*/
+
+// Random, URL-safe token for the share link of an unlisted playlist
+export const generateShareToken = () =>
+  crypto.randomBytes(16).toString("base64url");
+
+// Works with populated and unpopulated `owner` / `collaborators.user`
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+// "owner", "editor", "viewer" or null
+export const getPlaylistRole = (playlist, userId) => {
+  if (!userId) return null;
+  if (idOf(playlist.owner) === userId.toString()) return "owner";
+
+  const collaborator = playlist.collaborators?.find(
+    (collaborator) => idOf(collaborator.user) === userId.toString()
+  );
+  return collaborator?.role ?? null;
+};
+
+export const canViewPlaylist = (playlist, viewerId, shareToken) => {
+  if (playlist.visibility === PLAYLIST_VISIBILITY.PRIVATE) {
+    return Boolean(getPlaylistRole(playlist, viewerId));
+  }
+
+  if (playlist.visibility === PLAYLIST_VISIBILITY.UNLISTED) {
+    return (
+      Boolean(getPlaylistRole(playlist, viewerId)) ||
+      (Boolean(shareToken) && shareToken === playlist.shareToken)
+    );
+  }
+
+  return true; // public (and playlists created before visibility existed)
+};
+
+export const canEditPlaylistItems = (playlist, userId) =>
+  ["owner", "editor"].includes(getPlaylistRole(playlist, userId));
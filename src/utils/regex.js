@@ -0,0 +1,3 @@
+// Escapes user input so it is matched literally inside a $regex (e.g. "c++" or "what?")
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -0,0 +1,126 @@
+import fs from "fs";
+import { getContentType } from "./mimeTypes.js";
+
+// Weak ETag built from size + modification time, cheap to compute and changes whenever the file does
+const buildETag = (stats) =>
+  `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+// `If-None-Match` can contain a list of tags (or "*"), weak and strong tags compare equal here
+const matchesETag = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+
+  const normalize = (tag) => tag.trim().replace(/^W\//, "");
+  return header.split(",").some((tag) => normalize(tag) === normalize(etag));
+};
+
+/*
+  Parses a single `Range: bytes=start-end` header.
+  - Returns `null` when there is no usable range (send the whole file).
+  - Returns `-1` when the range cannot be satisfied (respond with 416).
+*/
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null; // multiple ranges or other units are not supported, fall back to 200
+
+  const [, startStr, endStr] = match;
+  let start;
+  let end;
+
+  if (startStr === "" && endStr === "") return -1;
+
+  if (startStr === "") {
+    // Suffix range: "bytes=-500" means the last 500 bytes
+    start = Math.max(size - parseInt(endStr, 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startStr, 10);
+    end = endStr === "" ? size - 1 : Math.min(parseInt(endStr, 10), size - 1);
+  }
+
+  if (start >= size || start > end) return -1;
+
+  return { start, end };
+};
+
+/*
+  Sends a file with full HTTP caching and Range support:
+  - `ETag` / `Last-Modified` + `If-None-Match` / `If-Modified-Since` -> 304 Not Modified
+  - `Range` -> 206 Partial Content (or 416 when out of bounds)
+  - `If-Range` -> only honor the Range if the file didn't change in between
+*/
+export const streamFile = async (req, res, filePath, { cacheControl } = {}) => {
+  const stats = await fs.promises.stat(filePath);
+  const etag = buildETag(stats);
+  const lastModified = stats.mtime.toUTCString();
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", lastModified);
+  res.setHeader("Content-Type", getContentType(filePath));
+  if (cacheControl) {
+    res.setHeader("Cache-Control", cacheControl);
+  }
+
+  // Conditional GET: If-None-Match wins over If-Modified-Since when both are sent
+  const ifNoneMatch = req.headers["if-none-match"];
+  const ifModifiedSince = req.headers["if-modified-since"];
+  const notModified = ifNoneMatch
+    ? matchesETag(ifNoneMatch, etag)
+    : ifModifiedSince &&
+      Math.floor(stats.mtimeMs / 1000) <=
+        Math.floor(new Date(ifModifiedSince).getTime() / 1000);
+
+  if (notModified) {
+    return res.status(304).end();
+  }
+
+  // If-Range: the client's cached copy must still be current, otherwise send the full file
+  const ifRange = req.headers["if-range"];
+  const rangeIsFresh =
+    !ifRange ||
+    (ifRange.startsWith('"') || ifRange.startsWith("W/")
+      ? matchesETag(ifRange, etag)
+      : ifRange === lastModified);
+
+  const range = rangeIsFresh ? parseRange(req.headers.range, stats.size) : null;
+
+  if (range === -1) {
+    res.setHeader("Content-Range", `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: stats.size - 1 };
+
+  res.setHeader("Content-Length", stats.size === 0 ? 0 : end - start + 1);
+  if (range) {
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+    res.status(206);
+  } else {
+    res.status(200);
+  }
+
+  if (req.method === "HEAD" || stats.size === 0) {
+    return res.end();
+  }
+
+  const fileStream = fs.createReadStream(filePath, { start, end });
+  fileStream.on("error", () => res.destroy()); // Headers are already sent, just drop the connection
+  fileStream.pipe(res);
+};
+
+/*
+👉 What is a Range request?
+   - Video players ask for parts of the file (`Range: bytes=1000000-`) instead of downloading all of it.
+   - This is what makes seeking work: jumping to 10:00 only downloads the bytes around 10:00.
+   - The server answers with `206 Partial Content` and a `Content-Range` header.
+
+👉 Why ETag / Last-Modified?
+   - The browser can ask "has this file changed?" (`If-None-Match`) and get an empty `304` back if not.
+   - This saves re-downloading a video the viewer already has in cache.
+*/
+
+// URL of a video's stream endpoint (`GET /api/v1/videos/:videoId/stream`), which checks who may watch it
+export const videoStreamUrl = (videoId) => `/api/v1/videos/${videoId}/stream`;
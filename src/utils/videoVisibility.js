@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { VIDEO_PROCESSING_STATUS } from "../constants.js";
+
+/*
+  Who can see which video?
+  - Everyone (including anonymous visitors) sees published videos that finished processing.
+  - The owner additionally sees their own unpublished videos.
+  - `processingStatus: null` covers videos created before background processing existed.
+*/
+
+// Mongo filter for listing videos (use inside `$match` / `find`)
+export const visibleVideosFilter = (viewerId) => ({
+  processingStatus: { $in: [VIDEO_PROCESSING_STATUS.READY, null] },
+  $or: [
+    { isPublished: true },
+    ...(viewerId ? [{ owner: new mongoose.Types.ObjectId(viewerId) }] : []),
+  ],
+});
+
+// Same rule for a single, already loaded video document.
+// The owner can always open their own video (e.g. to follow its processing progress).
+export const canViewVideo = (video, viewerId) => {
+  if (!video) return false;
+
+  const ownerId = video.owner?._id ?? video.owner;
+  if (viewerId && ownerId?.toString() === viewerId.toString()) return true;
+
+  const isReady =
+    !video.processingStatus ||
+    video.processingStatus === VIDEO_PROCESSING_STATUS.READY;
+
+  return Boolean(video.isPublished) && isReady;
+};
@@ -0,0 +1,27 @@
+import { USER_ROLES } from "../constants.js";
+import { field, idParams, paginationQuery } from "./fields.js";
+
+export const userIdSchema = idParams("userId");
+
+export const listUsersSchema = {
+  query: {
+    ...paginationQuery,
+    role: field.oneOf(Object.values(USER_ROLES)),
+    banned: field.boolean(),
+    query: field.string({ max: 100 }),
+  },
+};
+
+export const banUserSchema = {
+  ...userIdSchema,
+  body: {
+    reason: field.string({ max: 500 }),
+  },
+};
+
+export const updateRoleSchema = {
+  ...userIdSchema,
+  body: {
+    role: field.oneOf(Object.values(USER_ROLES), { required: true }),
+  },
+};
@@ -0,0 +1,46 @@
+import { field, idParams, paginationQuery } from "./fields.js";
+import { COMMENT_SORTS } from "../constants.js";
+
+const commentContent = {
+  content: field.string({ required: true, max: 2000 }),
+};
+
+export const commentIdSchema = idParams("commentId");
+
+export const videoCommentsSchema = {
+  ...idParams("videoId"),
+  query: {
+    ...paginationQuery,
+    sort: field.oneOf(COMMENT_SORTS, { default: "newest" }),
+  },
+};
+
+export const tweetCommentsSchema = {
+  ...idParams("tweetId"),
+  query: videoCommentsSchema.query,
+};
+
+export const addTweetCommentSchema = {
+  ...idParams("tweetId"),
+  body: commentContent,
+};
+
+export const addCommentSchema = {
+  ...idParams("videoId"),
+  body: commentContent,
+};
+
+export const updateCommentSchema = {
+  ...commentIdSchema,
+  body: commentContent,
+};
+
+export const commentRepliesSchema = {
+  ...commentIdSchema,
+  query: paginationQuery,
+};
+
+export const addReplySchema = {
+  ...commentIdSchema,
+  body: commentContent,
+};
@@ -0,0 +1,5 @@
+import { paginationQuery } from "./fields.js";
+
+export const channelVideosSchema = {
+  query: paginationQuery,
+};
@@ -0,0 +1,12 @@
+import { field, paginationQuery } from "./fields.js";
+
+export const subscriptionFeedSchema = {
+  query: {
+    ...paginationQuery,
+    markSeen: field.boolean({ default: true }),
+  },
+};
+
+export const homeFeedSchema = {
+  query: paginationQuery,
+};
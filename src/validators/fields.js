@@ -0,0 +1,144 @@
+import { isValidObjectId } from "mongoose";
+import { PAGINATION_MAX_LIMIT } from "../constants.js";
+
+/*
+  Field rules used by the `validate` middleware schemas.
+
+  Every builder returns `{ check(value, name) }` which gives back `{ value }` (coerced) or `{ error }`.
+  - `required: true` rejects missing/empty values
+  - `default` is used when the value is missing
+  - Query strings and multipart bodies only contain strings, so numbers/booleans/dates are coerced
+*/
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+const makeRule = (parse, { required = false, default: defaultValue } = {}) => ({
+  check(value, name) {
+    if (isMissing(value)) {
+      if (defaultValue !== undefined) return { value: defaultValue };
+      return required ? { error: `${name} is required` } : {};
+    }
+
+    return parse(value, name);
+  },
+});
+
+const string = ({
+  trim = true,
+  lowercase = false,
+  min,
+  max,
+  pattern,
+  patternMessage,
+  ...options
+} = {}) =>
+  makeRule((value, name) => {
+    // Rejects objects/arrays too, e.g. `{ "username": { "$ne": null } }` in a login body
+    if (typeof value !== "string") {
+      return { error: `${name} must be a string` };
+    }
+
+    let text = trim ? value.trim() : value;
+    if (lowercase) text = text.toLowerCase();
+
+    if (!text && options.required) {
+      return { error: `${name} is required` };
+    }
+    if (min !== undefined && text.length < min) {
+      return { error: `${name} must be at least ${min} characters` };
+    }
+    if (max !== undefined && text.length > max) {
+      return { error: `${name} must be at most ${max} characters` };
+    }
+    if (pattern && !pattern.test(text)) {
+      return { error: patternMessage || `${name} has an invalid format` };
+    }
+
+    return { value: text };
+  }, options);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const email = (options = {}) =>
+  string({
+    lowercase: true,
+    max: 254,
+    pattern: EMAIL_PATTERN,
+    patternMessage: "email must be a valid email address",
+    ...options,
+  });
+
+const number = ({ integer = false, min, max, ...options } = {}) =>
+  makeRule((value, name) => {
+    const parsed = typeof value === "number" ? value : Number(value);
+
+    if (
+      (typeof value !== "number" && typeof value !== "string") ||
+      !Number.isFinite(parsed)
+    ) {
+      return { error: `${name} must be a number` };
+    }
+    if (integer && !Number.isInteger(parsed)) {
+      return { error: `${name} must be an integer` };
+    }
+    if (min !== undefined && parsed < min) {
+      return { error: `${name} must be at least ${min}` };
+    }
+    if (max !== undefined && parsed > max) {
+      return { error: `${name} must be at most ${max}` };
+    }
+
+    return { value: parsed };
+  }, options);
+
+const boolean = (options = {}) =>
+  makeRule((value, name) => {
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: `${name} must be true or false` };
+  }, options);
+
+const objectId = (options = {}) =>
+  makeRule(
+    (value, name) =>
+      typeof value === "string" && isValidObjectId(value)
+        ? { value }
+        : { error: `${name} must be a valid ID` },
+    options
+  );
+
+const date = (options = {}) =>
+  makeRule((value, name) => {
+    const parsed = new Date(value);
+
+    if (typeof value === "boolean" || Number.isNaN(parsed.getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+
+    return { value: parsed };
+  }, options);
+
+const oneOf = (values, options = {}) =>
+  makeRule(
+    (value, name) =>
+      values.includes(value)
+        ? { value }
+        : { error: `${name} must be one of: ${values.join(", ")}` },
+    options
+  );
+
+export const field = { string, email, number, boolean, objectId, date, oneOf };
+
+// `{ params: { videoId: <required ObjectId> } }` for routes like "/:videoId"
+export const idParams = (...names) => ({
+  params: Object.fromEntries(
+    names.map((name) => [name, objectId({ required: true })])
+  ),
+});
+
+// `?limit=&cursor=` accepted by every paginated list (see utils/pagination.js)
+export const paginationQuery = {
+  limit: number({ integer: true, min: 1, max: PAGINATION_MAX_LIMIT }),
+  cursor: string(),
+};
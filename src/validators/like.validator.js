@@ -0,0 +1,24 @@
+import { field, idParams, paginationQuery } from "./fields.js";
+import { LIKE_REACTIONS, TWEET_REACTIONS } from "../constants.js";
+
+// `type` is optional so the plain toggle still means "like"
+const reactionBody = (types) => ({
+  type: field.oneOf(types, { default: "like" }),
+});
+
+export const videoLikeSchema = {
+  ...idParams("videoId"),
+  body: reactionBody(LIKE_REACTIONS),
+};
+export const commentLikeSchema = {
+  ...idParams("commentId"),
+  body: reactionBody(LIKE_REACTIONS),
+};
+export const tweetLikeSchema = {
+  ...idParams("tweetId"),
+  body: reactionBody(TWEET_REACTIONS),
+};
+
+export const likedVideosSchema = {
+  query: paginationQuery,
+};
@@ -0,0 +1,63 @@
+import { field, idParams, paginationQuery } from "./fields.js";
+import {
+  PLAYLIST_COLLABORATOR_ROLES,
+  PLAYLIST_VISIBILITY,
+} from "../constants.js";
+
+export const playlistIdSchema = idParams("playlistId");
+
+// `?token=` is the share token of an unlisted playlist
+export const getPlaylistSchema = {
+  ...playlistIdSchema,
+  query: {
+    token: field.string({ max: 64 }),
+  },
+};
+
+export const playlistVideoSchema = idParams("videoId", "playlistId");
+
+export const watchLaterSchema = idParams("videoId");
+
+// Optional 0-based index to insert at, the video is appended otherwise
+export const addPlaylistVideoSchema = {
+  ...playlistVideoSchema,
+  body: {
+    position: field.number({ integer: true, min: 0 }),
+  },
+};
+
+export const reorderPlaylistSchema = {
+  ...playlistIdSchema,
+  body: {
+    videoId: field.objectId({ required: true }),
+    position: field.number({ required: true, integer: true, min: 0 }),
+  },
+};
+
+export const userPlaylistsSchema = {
+  ...idParams("userId"),
+  query: paginationQuery,
+};
+
+export const createPlaylistSchema = {
+  body: {
+    name: field.string({ required: true, max: 100 }),
+    description: field.string({ required: true, max: 1000 }),
+    visibility: field.oneOf(Object.values(PLAYLIST_VISIBILITY)),
+  },
+};
+
+export const updatePlaylistSchema = {
+  ...playlistIdSchema,
+  body: createPlaylistSchema.body,
+};
+
+export const addCollaboratorSchema = {
+  ...playlistIdSchema,
+  body: {
+    userId: field.objectId({ required: true }),
+    role: field.oneOf(PLAYLIST_COLLABORATOR_ROLES, { default: "editor" }),
+  },
+};
+
+export const collaboratorSchema = idParams("playlistId", "userId");
@@ -0,0 +1,13 @@
+import { idParams, paginationQuery } from "./fields.js";
+
+export const channelIdSchema = idParams("channelId");
+
+export const subscribedChannelsSchema = {
+  ...channelIdSchema,
+  query: paginationQuery,
+};
+
+export const channelSubscribersSchema = {
+  ...idParams("subscriberId"),
+  query: paginationQuery,
+};
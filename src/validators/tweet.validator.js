@@ -0,0 +1,21 @@
+import { field, idParams, paginationQuery } from "./fields.js";
+
+const tweetContent = {
+  content: field.string({ required: true, max: 500 }),
+};
+
+export const tweetIdSchema = idParams("tweetId");
+
+export const createTweetSchema = {
+  body: tweetContent,
+};
+
+export const userTweetsSchema = {
+  ...idParams("userId"),
+  query: paginationQuery,
+};
+
+export const updateTweetSchema = {
+  ...tweetIdSchema,
+  body: tweetContent,
+};
@@ -0,0 +1,77 @@
+import { field, idParams, paginationQuery } from "./fields.js";
+
+// Usernames end up in channel URLs (/c/:username), so keep them URL friendly
+const username = (options) =>
+  field.string({
+    lowercase: true,
+    min: 3,
+    max: 30,
+    pattern: /^[a-z0-9_.-]+$/,
+    patternMessage:
+      "username can only contain letters, numbers, dots, dashes and underscores",
+    ...options,
+  });
+
+const password = (options) =>
+  field.string({ trim: false, min: 8, max: 128, ...options });
+
+export const registerSchema = {
+  body: {
+    fullName: field.string({ required: true, max: 100 }),
+    email: field.email({ required: true }),
+    username: username({ required: true }),
+    password: password({ required: true }),
+  },
+};
+
+// Either username or email is required, the controller checks that one of them is present
+export const loginSchema = {
+  body: {
+    email: field.email(),
+    username: field.string({ lowercase: true, max: 30 }),
+    password: field.string({ required: true, trim: false, max: 128 }),
+  },
+};
+
+export const refreshTokenSchema = {
+  body: {
+    refreshToken: field.string(),
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    oldPassword: field.string({ required: true, trim: false, max: 128 }),
+    newPassword: password({ required: true }),
+  },
+};
+
+export const updateAccountSchema = {
+  body: {
+    fullName: field.string({ required: true, max: 100 }),
+    email: field.email({ required: true }),
+  },
+};
+
+export const channelProfileSchema = {
+  params: {
+    username: field.string({ required: true, lowercase: true, max: 30 }),
+  },
+};
+
+export const watchHistorySchema = {
+  query: {
+    ...paginationQuery,
+    q: field.string({ max: 200 }),
+    from: field.date(),
+    to: field.date(),
+  },
+};
+
+export const historyEntrySchema = idParams("videoId");
+
+export const pauseHistorySchema = {
+  body: {
+    paused: field.boolean({ required: true }),
+  },
+};
@@ -0,0 +1,59 @@
+import { VIDEO_SEARCH_SORTS, VIDEO_SORT_FIELDS } from "../constants.js";
+import { field, idParams, paginationQuery } from "./fields.js";
+
+const videoDetails = {
+  title: field.string({ max: 100 }),
+  description: field.string({ max: 5000 }),
+};
+
+export const videoIdSchema = idParams("videoId");
+
+export const listVideosSchema = {
+  query: {
+    ...paginationQuery,
+    query: field.string({ max: 200 }),
+    sortBy: field.oneOf(VIDEO_SORT_FIELDS, { default: "createdAt" }),
+    sortType: field.oneOf(["asc", "desc"], { default: "desc" }),
+    userId: field.objectId(),
+  },
+};
+
+export const searchVideosSchema = {
+  query: {
+    ...paginationQuery,
+    q: field.string({ max: 200 }),
+    minDuration: field.number({ min: 0 }),
+    maxDuration: field.number({ min: 0 }),
+    uploadedAfter: field.date(),
+    uploadedBefore: field.date(),
+    channel: field.string({ max: 100 }),
+    minViews: field.number({ integer: true, min: 0 }),
+    sortBy: field.oneOf(VIDEO_SEARCH_SORTS),
+  },
+};
+
+export const publishVideoSchema = {
+  body: {
+    title: field.string({ required: true, max: 100 }),
+    description: field.string({ required: true, max: 5000 }),
+  },
+};
+
+export const updateVideoSchema = {
+  ...videoIdSchema,
+  body: videoDetails,
+};
+
+export const recordViewSchema = {
+  ...videoIdSchema,
+  body: {
+    position: field.number({ min: 0, default: 0 }), // seconds
+  },
+};
+
+export const watchProgressSchema = {
+  ...videoIdSchema,
+  body: {
+    position: field.number({ required: true, min: 0 }), // seconds
+  },
+};
@@ -0,0 +1,24 @@
+// Runs the background job worker as its own process: `npm run worker`
+// It reads the uploaded files from `public/temp`, so run it next to the API server (or share that folder)
+import dotenv from "dotenv";
+import connectDB from "./db/index.js";
+import { startJobWorker } from "./jobs/index.js";
+dotenv.config({
+  path: "./.env",
+});
+
+connectDB()
+  .then(() => {
+    const stopWorker = startJobWorker();
+
+    // Let the current job finish before exiting
+    const shutdown = async () => {
+      await stopWorker();
+      process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  })
+  .catch((err) => {
+    console.log("MONGO db connection failed !!! ", err);
+  });
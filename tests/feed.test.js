@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { fakeQuery, newId } from "./helpers.js";
+import { app } from "../src/app.js";
+import { Video } from "../src/models/video.model.js";
+import { FeedSnapshot } from "../src/models/feedSnapshot.model.js";
+
+describe("GET getHomeFeed", () => {
+  it("serves anonymous visitors the shared ranking without saving a new one", async (t) => {
+    const video = { _id: newId(), title: "Popular", owner: null };
+    const shared = {
+      _id: newId(),
+      viewerKey: "anonymous",
+      items: [
+        { video: video._id, score: 2, reasons: ["popular"] },
+        { video: newId(), score: 1, reasons: ["fresh"] },
+      ],
+    };
+    const findOne = t.mock.method(FeedSnapshot, "findOne", () =>
+      fakeQuery(shared)
+    );
+    t.mock.method(FeedSnapshot, "create", () =>
+      assert.fail("the shared ranking should be reused")
+    );
+    t.mock.method(Video, "aggregate", async () => [video]);
+
+    const res = await request(app).get("/api/v1/feed/home?limit=1");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.items.map(({ _id }) => _id),
+      [video._id.toString()]
+    );
+    assert.equal(res.body.data.hasMore, true);
+    const [filter] = findOne.mock.calls[0].arguments;
+    assert.equal(filter.viewerKey, "anonymous");
+    assert.ok(filter.createdAt, "only the current period's ranking is reused");
+  });
+});
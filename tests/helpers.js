@@ -0,0 +1,74 @@
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { User } from "../src/models/user.model.js";
+
+/*
+  Shared setup for the request-level tests (`npm test`).
+  - No database: the tests replace the Mongoose calls a route makes with `t.mock.method(...)`,
+    so they run anywhere and every case controls exactly what "the database" returns.
+  - Files go to a throwaway local storage folder instead of Cloudinary.
+*/
+process.env.NODE_ENV = "test";
+process.env.ACCESS_TOKEN_SECRET ||= "test-access-token-secret";
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = path.join(os.tmpdir(), "vidcore-test-storage");
+
+export const newId = () => new mongoose.Types.ObjectId();
+
+export const makeUser = (fields = {}) =>
+  new User({
+    _id: newId(),
+    username: "user",
+    email: "user@example.com",
+    fullName: "Test User",
+    avatar: "/media/avatars/user.png",
+    password: "password",
+    ...fields,
+  });
+
+/*
+  Stand-in for a Mongoose query: every chained call (`.select()`, `.populate()`...) returns it,
+  and awaiting it gives `result`, like the real query would.
+*/
+export const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    distinct: () => fakeQuery([]),
+  };
+
+  for (const method of [
+    "select",
+    "populate",
+    "lean",
+    "session",
+    "sort",
+    "limit",
+  ]) {
+    query[method] = () => query;
+  }
+
+  return query;
+};
+
+/*
+  Logs `users` in for this test: returns a `Bearer` header per user,
+  and `verifyJWT` finds them when it looks the token's user up.
+*/
+export const signIn = (t, ...users) => {
+  t.mock.method(User, "findById", (id) =>
+    fakeQuery(users.find((user) => user._id.equals(id)) ?? null)
+  );
+
+  return users.map(
+    (user) =>
+      `Bearer ${jwt.sign({ _id: user._id }, process.env.ACCESS_TOKEN_SECRET)}`
+  );
+};
+
+// Serves `Model.findById(id)` from the given documents (`null` for any other ID)
+export const serveFindById = (t, Model, ...docs) =>
+  t.mock.method(Model, "findById", (id) =>
+    fakeQuery(docs.find((doc) => doc._id.equals(id)) ?? null)
+  );
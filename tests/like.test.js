@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { fakeQuery, makeUser, newId, signIn } from "./helpers.js";
+import { app } from "../src/app.js";
+import { Video } from "../src/models/video.model.js";
+import { Tweet } from "../src/models/tweet.model.js";
+import { Like } from "../src/models/like.model.js";
+
+const viewer = makeUser({ username: "viewer", email: "viewer@example.com" });
+
+// Fails the test if a reaction would be stored
+const forbidReactions = (t) =>
+  t.mock.method(Like, "findOne", () =>
+    assert.fail("no reaction should be stored")
+  );
+
+describe("POST toggleVideoLike", () => {
+  it("returns 404 for a video the viewer can't see", async (t) => {
+    const [auth] = signIn(t, viewer);
+    // Missing, unpublished or still processing: `visibleVideosFilter` finds nothing
+    const findOne = t.mock.method(Video, "findOne", () => fakeQuery(null));
+    forbidReactions(t);
+
+    const res = await request(app)
+      .post(`/api/v1/likes/toggle/v/${newId()}`)
+      .set("Authorization", auth)
+      .send({});
+
+    assert.equal(res.status, 404);
+    const [filter] = findOne.mock.calls[0].arguments;
+    assert.ok(filter.processingStatus && filter.$or, "visibility rule applied");
+  });
+});
+
+describe("POST toggleTweetLike", () => {
+  it("returns 404 when the tweet doesn't exist", async (t) => {
+    const [auth] = signIn(t, viewer);
+    t.mock.method(Tweet, "findById", () => fakeQuery(null));
+    forbidReactions(t);
+
+    const res = await request(app)
+      .post(`/api/v1/likes/toggle/t/${newId()}`)
+      .set("Authorization", auth)
+      .send({});
+
+    assert.equal(res.status, 404);
+  });
+});
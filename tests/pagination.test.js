@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { newId } from "./helpers.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import { decodeCursor, encodeCursor } from "../src/utils/pagination.js";
+
+// Builds a cursor by hand, the way a client could
+const rawCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const assertRejected = (cursor) =>
+  assert.throws(
+    () => decodeCursor(cursor),
+    (error) => error instanceof ApiError && error.statusCode === 400
+  );
+
+describe("decodeCursor", () => {
+  it("restores the dates, ObjectIds and scalars encodeCursor wrote", () => {
+    const createdAt = new Date("2024-05-01T10:00:00.000Z");
+    const owner = newId();
+
+    for (const [doc, field, expected] of [
+      [{ _id: newId(), createdAt }, "createdAt", createdAt],
+      [{ _id: newId(), owner }, "owner", owner],
+      [{ _id: newId(), views: 42 }, "views", 42],
+      [{ _id: newId(), title: "Intro" }, "title", "Intro"],
+      [{ _id: newId() }, "missing", null],
+    ]) {
+      const cursor = decodeCursor(encodeCursor(doc, field));
+
+      assert.deepEqual(cursor.value, expected);
+      assert.ok(cursor.id.equals(doc._id));
+    }
+  });
+
+  it("rejects query operators hidden in the sort value", () => {
+    const id = newId().toString();
+
+    assertRejected(rawCursor({ key: { v: { $ne: null } }, id }));
+    assertRejected(rawCursor({ key: { v: [1, 2] }, id }));
+    assertRejected(rawCursor({ key: { t: "id", v: { $gt: "" } }, id }));
+    assertRejected(rawCursor({ key: { t: "date", v: { $gt: 0 } }, id }));
+  });
+
+  it("rejects malformed cursors", () => {
+    assertRejected("not base64 json");
+    assertRejected(rawCursor({ key: { v: 1 }, id: "nope" }));
+    assertRejected(rawCursor({ key: { v: 1 }, id: { $ne: null } }));
+    assertRejected(
+      rawCursor({ key: { t: "date", v: "yesterday" }, id: newId().toString() })
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import {
+  fakeQuery,
+  makeUser,
+  newId,
+  serveFindById,
+  signIn,
+} from "./helpers.js";
+import { app } from "../src/app.js";
+import { Playlist } from "../src/models/playlist.model.js";
+import { Video } from "../src/models/video.model.js";
+
+const owner = makeUser({ username: "owner", email: "owner@example.com" });
+const stranger = makeUser({
+  username: "stranger",
+  email: "stranger@example.com",
+});
+const videoId = newId();
+
+const makePlaylist = () =>
+  new Playlist({
+    _id: newId(),
+    name: "Favourites",
+    description: "Best videos",
+    owner: owner._id,
+    items: [{ video: videoId }],
+  });
+
+/*
+  Every route guarded by `requireOwnership(Playlist, "playlistId")` (or `requirePlaylistEditor`).
+  `stubSuccess` fakes the writes the controller makes once the owner got through.
+*/
+const routes = [
+  {
+    name: "updatePlaylist",
+    method: "patch",
+    path: (playlistId) => `/api/v1/playlist/${playlistId}`,
+    body: { name: "Renamed", description: "Still the best videos" },
+    stubSuccess: (t, playlist) =>
+      t.mock.method(Playlist, "findByIdAndUpdate", (_, update) =>
+        fakeQuery({ ...playlist.toObject(), ...update.$set })
+      ),
+    assertSuccess: (res) => assert.equal(res.body.data.name, "Renamed"),
+  },
+  {
+    name: "deletePlaylist",
+    method: "delete",
+    path: (playlistId) => `/api/v1/playlist/${playlistId}`,
+    stubSuccess: (t, playlist) =>
+      t.mock.method(Playlist, "findByIdAndDelete", () => fakeQuery(playlist)),
+  },
+  {
+    name: "addVideoToPlaylist",
+    method: "patch",
+    path: (playlistId) => `/api/v1/playlist/add/${newId()}/${playlistId}`,
+    stubSuccess: (t, playlist) => {
+      t.mock.method(Video, "findOne", (filter) =>
+        fakeQuery({ _id: filter._id })
+      );
+      t.mock.method(Playlist, "findOneAndUpdate", () => fakeQuery(playlist));
+    },
+  },
+  {
+    name: "removeVideoFromPlaylist",
+    method: "patch",
+    path: (playlistId) => `/api/v1/playlist/remove/${videoId}/${playlistId}`,
+    stubSuccess: (t, playlist) =>
+      t.mock.method(Playlist, "findByIdAndUpdate", () =>
+        fakeQuery({ ...playlist.toObject(), items: [] })
+      ),
+    assertSuccess: (res) => assert.deepEqual(res.body.data.items, []),
+  },
+];
+
+for (const route of routes) {
+  describe(`${route.method.toUpperCase()} ${route.name}`, () => {
+    const send = (playlistId, auth) =>
+      request(app)
+        [route.method](route.path(playlistId))
+        .set("Authorization", auth)
+        .send(route.body ?? {});
+
+    it("returns 400 for a malformed playlist ID", async (t) => {
+      const [auth] = signIn(t, owner);
+
+      const res = await send("not-an-id", auth);
+
+      assert.equal(res.status, 400);
+    });
+
+    it("returns 404 when the playlist doesn't exist", async (t) => {
+      const [auth] = signIn(t, owner);
+      serveFindById(t, Playlist);
+
+      const res = await send(newId(), auth);
+
+      assert.equal(res.status, 404);
+    });
+
+    it("returns 403 for someone else's playlist", async (t) => {
+      const playlist = makePlaylist();
+      const [auth] = signIn(t, stranger);
+      serveFindById(t, Playlist, playlist);
+      route.stubSuccess(t, playlist);
+
+      const res = await send(playlist._id, auth);
+
+      assert.equal(res.status, 403);
+    });
+
+    it("lets the owner through", async (t) => {
+      const playlist = makePlaylist();
+      const [auth] = signIn(t, owner);
+      serveFindById(t, Playlist, playlist);
+      route.stubSuccess(t, playlist);
+
+      const res = await send(playlist._id, auth);
+
+      assert.equal(res.status, 200);
+      route.assertSuccess?.(res);
+    });
+  });
+}
@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import request from "supertest";
+import {
+  fakeQuery,
+  makeUser,
+  newId,
+  serveFindById,
+  signIn,
+} from "./helpers.js";
+import { app } from "../src/app.js";
+import { Video } from "../src/models/video.model.js";
+import { Like } from "../src/models/like.model.js";
+import { Comment } from "../src/models/comment.model.js";
+import { Playlist } from "../src/models/playlist.model.js";
+import { WatchProgress } from "../src/models/watchProgress.model.js";
+import { VideoView } from "../src/models/videoView.model.js";
+
+const owner = makeUser({ username: "owner", email: "owner@example.com" });
+const stranger = makeUser({
+  username: "stranger",
+  email: "stranger@example.com",
+});
+
+const makeVideo = () =>
+  new Video({
+    _id: newId(),
+    title: "My video",
+    description: "About my video",
+    videoFile: "/media/videos/my-video.mp4",
+    thumbnail: "/media/thumbnails/my-video.png",
+    owner: owner._id,
+    isPublished: true,
+  });
+
+/*
+  Every route guarded by `requireOwnership(Video, "videoId")`.
+  `stubSuccess` fakes the writes the controller makes once the owner got through.
+*/
+const routes = [
+  {
+    name: "updateVideo",
+    method: "patch",
+    path: (videoId) => `/api/v1/videos/${videoId}`,
+    body: { title: "New title", description: "New description" },
+    stubSuccess: (t, video) =>
+      t.mock.method(Video, "findByIdAndUpdate", (_, update) =>
+        fakeQuery({ ...video.toObject(), ...update.$set })
+      ),
+    assertSuccess: (res) => assert.equal(res.body.data.title, "New title"),
+  },
+  {
+    name: "deleteVideo",
+    method: "delete",
+    path: (videoId) => `/api/v1/videos/${videoId}`,
+    stubSuccess: (t) => {
+      t.mock.method(mongoose, "startSession", async () => ({
+        withTransaction: async (work) => await work(),
+        endSession: async () => {},
+      }));
+      t.mock.method(Comment, "find", () => fakeQuery([]));
+      t.mock.method(Playlist, "updateMany", async () => ({ modifiedCount: 0 }));
+      for (const Model of [Like, WatchProgress, VideoView]) {
+        t.mock.method(Model, "deleteMany", async () => ({ deletedCount: 0 }));
+      }
+      t.mock.method(Video, "deleteOne", async () => ({ deletedCount: 1 }));
+    },
+    assertSuccess: (res) => assert.equal(res.body.data.removed.videos, 1),
+  },
+  {
+    name: "togglePublishStatus",
+    method: "patch",
+    path: (videoId) => `/api/v1/videos/toggle/publish/${videoId}`,
+    stubSuccess: (t) =>
+      t.mock.method(Video.prototype, "save", async function () {
+        return this;
+      }),
+    assertSuccess: (res) => assert.equal(res.body.data.isPublished, false),
+  },
+];
+
+for (const route of routes) {
+  describe(`${route.method.toUpperCase()} ${route.name}`, () => {
+    const send = (videoId, auth) =>
+      request(app)
+        [route.method](route.path(videoId))
+        .set("Authorization", auth)
+        .send(route.body ?? {});
+
+    it("returns 400 for a malformed video ID", async (t) => {
+      const [auth] = signIn(t, owner);
+
+      const res = await send("not-an-id", auth);
+
+      assert.equal(res.status, 400);
+    });
+
+    it("returns 404 when the video doesn't exist", async (t) => {
+      const [auth] = signIn(t, owner);
+      serveFindById(t, Video);
+
+      const res = await send(newId(), auth);
+
+      assert.equal(res.status, 404);
+    });
+
+    it("returns 403 for someone else's video", async (t) => {
+      const video = makeVideo();
+      const [auth] = signIn(t, stranger);
+      serveFindById(t, Video, video);
+      route.stubSuccess(t, video);
+
+      const res = await send(video._id, auth);
+
+      assert.equal(res.status, 403);
+    });
+
+    it("lets the owner through", async (t) => {
+      const video = makeVideo();
+      const [auth] = signIn(t, owner);
+      const findById = serveFindById(t, Video, video);
+      route.stubSuccess(t, video);
+
+      const res = await send(video._id, auth);
+
+      assert.equal(res.status, 200);
+      route.assertSuccess(res);
+      // The controller works with the video `requireOwnership` loaded (`req.resource`)
+      assert.equal(findById.mock.callCount(), 1);
+    });
+  });
+}
@@ -0,0 +1,52 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import request from "supertest";
+import { makeUser, signIn } from "./helpers.js";
+import { app } from "../src/app.js";
+
+const TEMP_DIR = "./public/temp";
+const uploader = makeUser({ username: "uploader", email: "up@example.com" });
+
+// Files multer left in the temp folder (it only ever holds `.gitkeep` between requests)
+const tempFiles = () =>
+  fs.readdirSync(TEMP_DIR).filter((name) => name !== ".gitkeep");
+
+describe("POST publishAVideo", () => {
+  afterEach(() => {
+    for (const name of tempFiles()) {
+      fs.rmSync(`${TEMP_DIR}/${name}`, { force: true });
+    }
+  });
+
+  const upload = (auth, fields) => {
+    const req = request(app)
+      .post("/api/v1/videos")
+      .set("Authorization", auth)
+      .attach("videoFile", Buffer.from("video"), "clip.mp4")
+      .attach("thumbnail", Buffer.from("image"), "clip.png");
+
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value);
+    }
+    return req;
+  };
+
+  it("removes the uploaded temp files when validation fails", async (t) => {
+    const [auth] = signIn(t, uploader);
+
+    const res = await upload(auth, { description: "No title" });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(tempFiles(), []);
+  });
+
+  it("removes the uploaded temp files when the title is blank", async (t) => {
+    const [auth] = signIn(t, uploader);
+
+    const res = await upload(auth, { title: "   ", description: "Blank" });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(tempFiles(), []);
+  });
+});